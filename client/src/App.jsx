@@ -6,6 +6,7 @@ import { AudioProvider } from './contexts/AudioContext'
 import LoginPage from './pages/LoginPage'
 import LobbyPage from './pages/LobbyPage'
 import RoundtablePage from './pages/RoundtablePage'
+import HistoryPage from './pages/HistoryPage'
 import AudioTestPage from './pages/AudioTestPage'
 import BroadcastTestPage from './pages/BroadcastTestPage'
 import ProtectedRoute from './components/ProtectedRoute'
@@ -38,6 +39,12 @@ function App() {
                   </ProtectedRoute>
                 } />
                 
+                <Route path="/history" element={
+                  <ProtectedRoute>
+                    <HistoryPage />
+                  </ProtectedRoute>
+                } />
+                
                 {/* Audio Test Route - For debugging audio issues */}
                 <Route path="/audio-test" element={<AudioTestPage />} />
                 
@@ -0,0 +1,66 @@
+import React from 'react'
+import { FileText } from 'lucide-react'
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+const formatDuration = (seconds = 0) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+
+/**
+ * DiscussionSummary Component
+ * Shows the summary the server writes when a discussion ends
+ */
+function DiscussionSummary({ summary }) {
+  if (!summary) {
+    return null
+  }
+
+  const { topic, promptsCovered, participation, synopsis } = summary
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex items-center space-x-2">
+        <FileText className="w-5 h-5 text-primary-600" />
+        <h3 className="font-semibold text-gray-900">{topic.title}</h3>
+      </div>
+
+      <p className="text-gray-700 leading-relaxed">{synopsis}</p>
+
+      {promptsCovered.length > 0 && (
+        <div>
+          <h4 className="font-semibold text-gray-900 mb-1">Prompts covered</h4>
+          <ul className="space-y-1">
+            {promptsCovered.map((prompt, index) => (
+              <li key={index} className="text-gray-600 flex items-start">
+                <span className="text-primary-500 mr-2">{index + 1}.</span>
+                <span>{prompt}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {participation.speakers.length > 0 && (
+        <div>
+          <h4 className="font-semibold text-gray-900 mb-1">
+            Participation ({participation.roundsCompleted} rounds, {formatDuration(participation.durationSeconds)})
+          </h4>
+          <ul className="space-y-1">
+            {participation.speakers.map(speaker => (
+              <li key={speaker.userId} className="flex justify-between text-gray-600">
+                <span>{speaker.anonymousName}</span>
+                <span>
+                  {formatDuration(speaker.speakingSeconds)} · {speaker.turns} turns · {Math.round(speaker.share * 100)}%
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DiscussionSummary
@@ -0,0 +1,100 @@
+import React, { useState } from 'react'
+import { Star } from 'lucide-react'
+
+const MAX_COMMENT_LENGTH = 1000
+
+/**
+ * FeedbackForm Component
+ * Lets a participant rate the discussion that just ended (1-5) and leave a comment
+ */
+function FeedbackForm({ sessionId, userId }) {
+  const [rating, setRating] = useState(0)
+  const [hovered, setHovered] = useState(0)
+  const [comment, setComment] = useState('')
+  const [status, setStatus] = useState('idle')
+  const [error, setError] = useState(null)
+
+  const apiUrl = import.meta.env.VITE_API_URL || ''
+
+  /**
+   * Send the feedback to the server
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!rating) return
+    setStatus('sending')
+    setError(null)
+    try {
+      const res = await fetch(`${apiUrl}/api/feedback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, userId, rating, comment })
+      })
+      const json = await res.json()
+      if (!json?.success) {
+        setError(json?.error || 'Failed to send feedback')
+        setStatus('idle')
+        return
+      }
+      setStatus('sent')
+    } catch (err) {
+      console.warn('[Feedback] Failed to send feedback', err)
+      setError('Failed to send feedback')
+      setStatus('idle')
+    }
+  }
+
+  if (!sessionId) {
+    return null
+  }
+
+  if (status === 'sent') {
+    return <p className="text-sm text-green-700">Thanks for your feedback!</p>
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 text-sm">
+      <h3 className="font-semibold text-gray-900">How was this discussion?</h3>
+
+      <div className="flex space-x-1" onMouseLeave={() => setHovered(0)}>
+        {[1, 2, 3, 4, 5].map(value => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => setRating(value)}
+            onMouseEnter={() => setHovered(value)}
+            className="p-1"
+            title={`${value} star${value === 1 ? '' : 's'}`}
+          >
+            <Star
+              className={`w-6 h-6 ${
+                value <= (hovered || rating) ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'
+              }`}
+            />
+          </button>
+        ))}
+      </div>
+
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        maxLength={MAX_COMMENT_LENGTH}
+        rows={3}
+        placeholder="Anything we could do better? (optional)"
+        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+      />
+
+      {error && <p className="text-red-600">{error}</p>}
+
+      <button
+        type="submit"
+        disabled={!rating || status === 'sending'}
+        className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {status === 'sending' ? 'Sending...' : 'Send Feedback'}
+      </button>
+    </form>
+  )
+}
+
+export default FeedbackForm
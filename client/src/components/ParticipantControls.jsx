@@ -1,7 +1,7 @@
 import React from 'react'
 import { useAudio } from '../contexts/AudioContext'
 import { useSocket } from '../contexts/SocketContext'
-import { Mic, MicOff, Volume2, VolumeX, SkipForward } from 'lucide-react'
+import { Mic, MicOff, Volume2, VolumeX, SkipForward, Hand } from 'lucide-react'
 
 /**
  * ParticipantControls Component
@@ -10,7 +10,11 @@ import { Mic, MicOff, Volume2, VolumeX, SkipForward } from 'lucide-react'
 function ParticipantControls({ 
   isCurrentUserSpeaking, 
   discussionStarted, 
-  discussionEnded 
+  discussionEnded,
+  strategy,
+  handRaised,
+  handQueuePosition,
+  onToggleHand
 }) {
   const { 
     isMuted, 
@@ -145,6 +149,24 @@ function ParticipantControls({
           </button>
         </div>
 
+        {/* Raise Hand (raise-hand turn strategy) */}
+        {strategy === 'raise-hand' && !isCurrentUserSpeaking && (
+          <button
+            onClick={onToggleHand}
+            className={`w-full flex items-center justify-center space-x-2 py-2 px-4 rounded-lg 
+                       font-medium transition-colors ${
+              handRaised
+                ? 'bg-yellow-100 text-yellow-800 hover:bg-yellow-200'
+                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            <Hand className="w-5 h-5" />
+            <span className="text-sm">
+              {handRaised ? `Lower Hand (#${handQueuePosition} in queue)` : 'Raise Hand'}
+            </span>
+          </button>
+        )}
+
         {/* Audio Level Indicator */}
         {audioEnabled && isCurrentUserSpeaking && (
           <div className="space-y-2">
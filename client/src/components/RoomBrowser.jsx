@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react'
+import { DoorOpen, Plus, RefreshCw } from 'lucide-react'
+
+/**
+ * RoomBrowser Component
+ * Lists discussion rooms so several groups can run discussions at the same time,
+ * and lets users create a new room
+ */
+function RoomBrowser({ currentRoomId, onJoin }) {
+  const [rooms, setRooms] = useState([])
+  const [showCreate, setShowCreate] = useState(false)
+  const [newRoom, setNewRoom] = useState({ name: '', description: '', capacity: 8 })
+  const [error, setError] = useState(null)
+
+  const apiUrl = import.meta.env.VITE_API_URL || ''
+
+  /**
+   * Load the room list from the server
+   */
+  const fetchRooms = async () => {
+    try {
+      const res = await fetch(`${apiUrl}/api/rooms`)
+      const json = await res.json()
+      if (json?.success) setRooms(json.data)
+    } catch (err) {
+      console.warn('[RoomBrowser] Failed to fetch rooms', err)
+    }
+  }
+
+  // Refresh the list periodically so counts and statuses stay current
+  useEffect(() => {
+    fetchRooms()
+    const interval = setInterval(fetchRooms, 10000)
+    return () => clearInterval(interval)
+  }, [])
+
+  /**
+   * Create a room and join it
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setError(null)
+    try {
+      const res = await fetch(`${apiUrl}/api/rooms`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(newRoom)
+      })
+      const json = await res.json()
+      if (!json?.success) {
+        setError(json?.error || 'Failed to create room')
+        return
+      }
+      setShowCreate(false)
+      setNewRoom({ name: '', description: '', capacity: 8 })
+      await fetchRooms()
+      onJoin(json.data.id)
+    } catch (err) {
+      console.warn('[RoomBrowser] Failed to create room', err)
+      setError('Failed to create room')
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900">Rooms</h2>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={fetchRooms}
+            className="p-1 text-gray-500 hover:text-gray-900 transition-colors"
+            title="Refresh rooms"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => setShowCreate(!showCreate)}
+            className="flex items-center space-x-1 text-sm text-primary-600 hover:text-primary-700 font-medium"
+          >
+            <Plus className="w-4 h-4" />
+            <span>New Room</span>
+          </button>
+        </div>
+      </div>
+
+      {showCreate && (
+        <form onSubmit={handleCreate} className="mb-4 p-3 bg-gray-50 rounded-md space-y-2">
+          <input
+            type="text"
+            required
+            maxLength={60}
+            placeholder="Room name"
+            value={newRoom.name}
+            onChange={(e) => setNewRoom({ ...newRoom, name: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+          />
+          <input
+            type="text"
+            maxLength={300}
+            placeholder="Description (optional)"
+            value={newRoom.description}
+            onChange={(e) => setNewRoom({ ...newRoom, description: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+          />
+          <label className="flex items-center justify-between text-sm text-gray-600">
+            <span>Capacity</span>
+            <input
+              type="number"
+              min={1}
+              max={50}
+              value={newRoom.capacity}
+              onChange={(e) => setNewRoom({ ...newRoom, capacity: parseInt(e.target.value) || 1 })}
+              className="w-20 px-2 py-1 border border-gray-300 rounded-md text-right"
+            />
+          </label>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <button
+            type="submit"
+            className="w-full px-3 py-2 bg-primary-600 text-white text-sm rounded-md hover:bg-primary-700"
+          >
+            Create &amp; Join
+          </button>
+        </form>
+      )}
+
+      <div className="space-y-2">
+        {rooms.map((room) => {
+          const isCurrent = room.id === currentRoomId
+          const isFull = room.participantCount >= room.capacity
+          return (
+            <div
+              key={room.id}
+              className={`flex items-center justify-between p-3 rounded-md ${
+                isCurrent ? 'bg-primary-50 border border-primary-200' : 'bg-gray-50'
+              }`}
+            >
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900 truncate">{room.name}</p>
+                {room.description && (
+                  <p className="text-xs text-gray-500 truncate">{room.description}</p>
+                )}
+                <p className="text-xs text-gray-500">
+                  {room.participantCount}/{room.capacity} •{' '}
+                  <span className={room.status === 'in-progress' ? 'text-orange-600' : 'text-green-600'}>
+                    {room.status === 'in-progress' ? 'In progress' : 'Open'}
+                  </span>
+                </p>
+              </div>
+              {isCurrent ? (
+                <span className="text-xs font-medium text-primary-700">You're here</span>
+              ) : (
+                <button
+                  onClick={() => onJoin(room.id)}
+                  disabled={isFull}
+                  className="flex items-center space-x-1 px-3 py-1 text-sm rounded-md bg-white border
+                             border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50
+                             disabled:cursor-not-allowed"
+                >
+                  <DoorOpen className="w-4 h-4" />
+                  <span>{isFull ? 'Full' : 'Join'}</span>
+                </button>
+              )}
+            </div>
+          )
+        })}
+
+        {rooms.length === 0 && (
+          <p className="text-sm text-gray-500 text-center py-4">No rooms available</p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default RoomBrowser
@@ -0,0 +1,259 @@
+import React, { useState } from 'react'
+import { Settings } from 'lucide-react'
+import { LANGUAGES, languageLabel } from '../utils/locale'
+
+// Turn-taking strategies supported by the server
+const STRATEGY_OPTIONS = [
+  { value: 'round-robin', label: 'Round robin' },
+  { value: 'random', label: 'Random order' },
+  { value: 'least-time', label: 'Least time first' },
+  { value: 'raise-hand', label: 'Raise-hand queue' }
+]
+
+// Numeric settings shown in the panel
+const NUMBER_FIELDS = [
+  { key: 'rounds', label: 'Rounds', min: 1, max: 20 },
+  { key: 'speakingTime', label: 'Speaking time (sec)', min: 10, max: 600 },
+  { key: 'minParticipants', label: 'Min participants', min: 1, max: 50 },
+  { key: 'maxParticipants', label: 'Max participants', min: 1, max: 50 },
+  { key: 'maxSpeakers', label: 'Max speakers', min: 1, max: 50 },
+  { key: 'reconnectGraceSeconds', label: 'Reconnect grace (sec)', min: 0, max: 300 },
+  { key: 'topicRepeatWindowDays', label: 'No repeat topics (days)', min: 0, max: 365 }
+]
+
+// Topic filter choices; an empty value means any
+const AUDIENCE_OPTIONS = [
+  { value: '', label: 'Any audience' },
+  { value: 'school', label: 'School' },
+  { value: 'undergrad', label: 'Undergraduate' },
+  { value: 'professional', label: 'Professional' }
+]
+
+const DIFFICULTY_OPTIONS = [
+  { value: '', label: 'Any difficulty' },
+  { value: 'beginner', label: 'Beginner' },
+  { value: 'intermediate', label: 'Intermediate' },
+  { value: 'advanced', label: 'Advanced' }
+]
+
+/**
+ * Describe the room's topic filters
+ * @param {Object} filters - { category, audience, difficulty, language }
+ * @returns {string} Summary such as "School · Beginner · es", or "Any"
+ */
+const describeFilters = (filters = {}) => {
+  const parts = [
+    filters.category,
+    AUDIENCE_OPTIONS.find(o => o.value === filters.audience && o.value)?.label,
+    DIFFICULTY_OPTIONS.find(o => o.value === filters.difficulty && o.value)?.label,
+    filters.language
+  ].filter(Boolean)
+  return parts.length > 0 ? parts.join(' · ') : 'Any'
+}
+
+/**
+ * RoomSettingsPanel Component
+ * Shows the room's discussion settings and lets them be edited before the discussion starts
+ */
+function RoomSettingsPanel({ settings, editable, error, onChange }) {
+  const [editing, setEditing] = useState(false)
+  const [draft, setDraft] = useState({})
+
+  if (!settings) {
+    return null
+  }
+
+  /**
+   * Start editing with the current values
+   */
+  const handleEdit = () => {
+    setDraft(settings)
+    setEditing(true)
+  }
+
+  /**
+   * Send changed values to the server
+   */
+  const handleSave = () => {
+    const updates = {}
+    Object.keys(draft).forEach(key => {
+      if (draft[key] !== settings[key]) updates[key] = draft[key]
+    })
+    if (Object.keys(updates).length > 0) onChange(updates)
+    setEditing(false)
+  }
+
+  const strategyLabel = STRATEGY_OPTIONS.find(o => o.value === settings.turnStrategy)?.label || settings.turnStrategy
+
+  /**
+   * Change one topic filter in the draft (empty means any)
+   */
+  const setFilter = (key, value) => {
+    setDraft({ ...draft, topicFilters: { ...draft.topicFilters, [key]: value || null } })
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <Settings className="w-5 h-5 text-gray-600" />
+          <h3 className="text-lg font-semibold text-gray-900">Discussion Settings</h3>
+        </div>
+        {editable && !editing && (
+          <button
+            onClick={handleEdit}
+            className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+          >
+            Edit
+          </button>
+        )}
+      </div>
+
+      {editing ? (
+        <div className="space-y-3">
+          {NUMBER_FIELDS.map(({ key, label, min, max }) => (
+            <label key={key} className="flex items-center justify-between text-sm">
+              <span className="text-gray-600">{label}</span>
+              <input
+                type="number"
+                min={min}
+                max={max}
+                value={draft[key]}
+                onChange={(e) => setDraft({ ...draft, [key]: parseInt(e.target.value) || min })}
+                className="w-20 px-2 py-1 border border-gray-300 rounded-md text-right"
+              />
+            </label>
+          ))}
+          <label className="flex items-center justify-between text-sm">
+            <span className="text-gray-600">Turn order</span>
+            <select
+              value={draft.turnStrategy}
+              onChange={(e) => setDraft({ ...draft, turnStrategy: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded-md"
+            >
+              {STRATEGY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center justify-between text-sm">
+            <span className="text-gray-600">Start automatically when ready</span>
+            <input
+              type="checkbox"
+              checked={draft.autoStart}
+              onChange={(e) => setDraft({ ...draft, autoStart: e.target.checked })}
+            />
+          </label>
+          <label className="flex items-center justify-between text-sm">
+            <span className="text-gray-600">Discussion language</span>
+            <select
+              value={draft.locale}
+              onChange={(e) => setDraft({ ...draft, locale: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded-md"
+            >
+              {LANGUAGES.map(language => (
+                <option key={language.code} value={language.code}>{language.label}</option>
+              ))}
+            </select>
+          </label>
+          <div className="space-y-2 text-sm">
+            <span className="text-gray-600">Topic filters</span>
+            <div className="grid grid-cols-2 gap-2">
+              <input
+                type="text"
+                placeholder="Any category"
+                maxLength={50}
+                value={draft.topicFilters?.category || ''}
+                onChange={(e) => setFilter('category', e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md"
+              />
+              <input
+                type="text"
+                placeholder="Any language (e.g. en)"
+                maxLength={20}
+                value={draft.topicFilters?.language || ''}
+                onChange={(e) => setFilter('language', e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md"
+              />
+              <select
+                value={draft.topicFilters?.audience || ''}
+                onChange={(e) => setFilter('audience', e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md"
+              >
+                {AUDIENCE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <select
+                value={draft.topicFilters?.difficulty || ''}
+                onChange={(e) => setFilter('difficulty', e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md"
+              >
+                {DIFFICULTY_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <label className="flex items-center justify-between text-sm">
+            <span className="text-gray-600">AI follow-up prompts</span>
+            <input
+              type="checkbox"
+              checked={draft.aiFollowUps}
+              onChange={(e) => setDraft({ ...draft, aiFollowUps: e.target.checked })}
+            />
+          </label>
+          <div className="flex justify-end space-x-2 pt-2">
+            <button
+              onClick={() => setEditing(false)}
+              className="px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              className="px-3 py-1 text-sm bg-primary-600 text-white rounded-md hover:bg-primary-700"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      ) : (
+        <dl className="space-y-2 text-sm">
+          {NUMBER_FIELDS.map(({ key, label }) => (
+            <div key={key} className="flex items-center justify-between">
+              <dt className="text-gray-600">{label}</dt>
+              <dd className="font-semibold text-gray-900">{settings[key]}</dd>
+            </div>
+          ))}
+          <div className="flex items-center justify-between">
+            <dt className="text-gray-600">Turn order</dt>
+            <dd className="font-semibold text-gray-900">{strategyLabel}</dd>
+          </div>
+          <div className="flex items-center justify-between">
+            <dt className="text-gray-600">Auto-start</dt>
+            <dd className="font-semibold text-gray-900">{settings.autoStart ? 'On' : 'Off'}</dd>
+          </div>
+          <div className="flex items-center justify-between">
+            <dt className="text-gray-600">Language</dt>
+            <dd className="font-semibold text-gray-900">{languageLabel(settings.locale)}</dd>
+          </div>
+          <div className="flex items-center justify-between">
+            <dt className="text-gray-600">Topics</dt>
+            <dd className="font-semibold text-gray-900">{describeFilters(settings.topicFilters)}</dd>
+          </div>
+          <div className="flex items-center justify-between">
+            <dt className="text-gray-600">AI follow-ups</dt>
+            <dd className="font-semibold text-gray-900">{settings.aiFollowUps ? 'On' : 'Off'}</dd>
+          </div>
+        </dl>
+      )}
+
+      {error && (
+        <p className="mt-3 text-sm text-red-600">{error}</p>
+      )}
+    </div>
+  )
+}
+
+export default RoomSettingsPanel
@@ -7,7 +7,7 @@ import { Brain } from 'lucide-react'
  * RoundtableView Component
  * Visual representation of the roundtable with participants arranged in a circle
  */
-function RoundtableView({ participants, currentSpeaker, currentTopic, discussionStarted }) {
+function RoundtableView({ participants, currentSpeaker, currentTopic, discussionStarted, paused = false }) {
   // Get audio context using custom hook
   const audioCtx = useAudio()
   // You may need to adjust this depending on how remote streams are tracked in AudioContext
@@ -42,6 +42,10 @@ function RoundtableView({ participants, currentSpeaker, currentTopic, discussion
                        'flex items-center justify-center font-semibold text-white text-sm ' +
                        'shadow-lg cursor-pointer chair-enter'
     
+    if (participant.status === 'reconnecting') {
+      return `${baseClasses} border-gray-400 bg-gray-400 opacity-60`
+    }
+
     if (currentSpeaker && currentSpeaker.id === participant.id) {
       return `${baseClasses} border-green-500 bg-green-500 shadow-green-300 shadow-xl scale-110 ` +
              'animate-pulse-active ring-4 ring-green-200'
@@ -62,7 +66,9 @@ function RoundtableView({ participants, currentSpeaker, currentTopic, discussion
         key={participant.id}
         className={getChairStyle(participant)}
         style={position}
-        title={`${participant.anonymousName}${isCurrentSpeaker ? ' (Speaking)' : ''}`}
+        title={`${participant.anonymousName}${isCurrentSpeaker ? ' (Speaking)' : ''}${
+          participant.status === 'reconnecting' ? ' (Reconnecting...)' : ''
+        }`}
       >
         {/* Participant Initial */}
         {participant.anonymousName.charAt(0).toUpperCase()}
@@ -183,12 +189,14 @@ function RoundtableView({ participants, currentSpeaker, currentTopic, discussion
                       bg-white px-4 py-2 rounded-full shadow-lg border">
         <div className="flex items-center space-x-2 text-sm">
           <div className={`w-2 h-2 rounded-full ${
-            discussionStarted ? 'bg-green-500 animate-pulse' : 'bg-gray-400'
+            paused ? 'bg-yellow-500' : discussionStarted ? 'bg-green-500 animate-pulse' : 'bg-gray-400'
           }`}></div>
-          <span className={discussionStarted ? 'text-green-700' : 'text-gray-600'}>
-            {discussionStarted 
-              ? `Discussion Active • ${participants.length} participants`
-              : `Preparing • ${participants.length} joined`}
+          <span className={paused ? 'text-yellow-700' : discussionStarted ? 'text-green-700' : 'text-gray-600'}>
+            {paused
+              ? `Discussion Paused • ${participants.length} participants`
+              : discussionStarted 
+                ? `Discussion Active • ${participants.length} participants`
+                : `Preparing • ${participants.length} joined`}
           </span>
         </div>
       </div>
@@ -198,9 +206,11 @@ function RoundtableView({ participants, currentSpeaker, currentTopic, discussion
         <div className="absolute top-4 left-1/2 transform -translate-x-1/2 
                         bg-green-100 border border-green-200 px-4 py-2 rounded-full">
           <div className="flex items-center space-x-2 text-sm">
-            <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
+            <div className={`w-2 h-2 bg-green-500 rounded-full ${paused ? '' : 'animate-pulse'}`}></div>
             <span className="text-green-800 font-medium">
-              {currentSpeaker.anonymousName} is speaking
+              {paused
+                ? `Paused • ${currentSpeaker.anonymousName} has the floor`
+                : `${currentSpeaker.anonymousName} is speaking`}
             </span>
           </div>
         </div>
@@ -1,11 +1,39 @@
-import React from 'react'
-import { Clock, User } from 'lucide-react'
+import React, { useState, useEffect } from 'react'
+import { Clock, User, Pause } from 'lucide-react'
 
 /**
  * SpeakerTimer Component
- * Displays countdown timer for the current speaker with visual progress
+ * Displays countdown timer for the current speaker with visual progress.
+ * Counts down locally towards the server's turnEndsAt deadline, using clockOffset
+ * (server time minus local time) to correct for clock skew.
  */
-function SpeakerTimer({ timeRemaining, totalTime, currentSpeaker, isCurrentUser }) {
+function SpeakerTimer({
+  timeRemaining: initialRemaining,
+  turnEndsAt,
+  clockOffset = 0,
+  totalTime,
+  currentSpeaker,
+  isCurrentUser,
+  paused = false
+}) {
+  const [timeRemaining, setTimeRemaining] = useState(initialRemaining)
+
+  // Tick locally while the turn clock is running
+  useEffect(() => {
+    if (paused || !turnEndsAt) {
+      setTimeRemaining(initialRemaining)
+      return
+    }
+
+    const tick = () => {
+      const remainingMs = turnEndsAt - (Date.now() + clockOffset)
+      setTimeRemaining(Math.max(0, Math.ceil(remainingMs / 1000)))
+    }
+    tick()
+    const interval = setInterval(tick, 250)
+    return () => clearInterval(interval)
+  }, [turnEndsAt, clockOffset, paused, initialRemaining])
+
   /**
    * Format time as MM:SS
    */
@@ -24,6 +52,7 @@ function SpeakerTimer({ timeRemaining, totalTime, currentSpeaker, isCurrentUser
    * Get timer color based on remaining time
    */
   const getTimerColor = () => {
+    if (paused) return 'text-gray-400'
     const percentRemaining = (timeRemaining / totalTime) * 100
     if (percentRemaining > 50) return 'text-green-600'
     if (percentRemaining > 25) return 'text-yellow-600'
@@ -34,6 +63,7 @@ function SpeakerTimer({ timeRemaining, totalTime, currentSpeaker, isCurrentUser
    * Get progress bar color based on remaining time
    */
   const getProgressColor = () => {
+    if (paused) return 'bg-gray-400'
     const percentRemaining = (timeRemaining / totalTime) * 100
     if (percentRemaining > 50) return 'bg-green-500'
     if (percentRemaining > 25) return 'bg-yellow-500'
@@ -69,6 +99,13 @@ function SpeakerTimer({ timeRemaining, totalTime, currentSpeaker, isCurrentUser
         <p className="text-sm text-gray-500 mt-1">
           of {formatTime(totalTime)} remaining
         </p>
+        {paused && (
+          <p className="inline-flex items-center space-x-1 mt-2 px-2 py-1 bg-gray-100 text-gray-700
+                        text-xs font-medium rounded-full">
+            <Pause className="w-3 h-3" />
+            <span>Paused by host</span>
+          </p>
+        )}
       </div>
 
       {/* Progress Bar */}
@@ -106,7 +143,7 @@ function SpeakerTimer({ timeRemaining, totalTime, currentSpeaker, isCurrentUser
       </div>
 
       {/* Warning for low time */}
-      {timeRemaining <= 15 && timeRemaining > 0 && (
+      {!paused && timeRemaining <= 15 && timeRemaining > 0 && (
         <div className={`mt-3 p-2 rounded-md text-center text-sm font-medium ${
           isCurrentUser 
             ? 'bg-red-100 text-red-800' 
@@ -1,12 +1,15 @@
 import React from 'react'
-import { Brain, Lightbulb } from 'lucide-react'
+import { Brain, Lightbulb, Sparkles } from 'lucide-react'
+import { localizeTopic, languageLabel } from '../utils/locale'
 
 /**
  * TopicDisplay Component
- * Shows the current AI-generated discussion topic
+ * Shows the current AI-generated discussion topic, highlighting the prompt
+ * for the current round. The topic is shown in the participant's preferred
+ * locale when it has that translation, otherwise in the room's locale.
  */
-function TopicDisplay({ topic }) {
-  if (!topic) {
+function TopicDisplay({ topic: roomTopic, locale, onLocaleChange }) {
+  if (!roomTopic) {
     return (
       <div className="bg-white rounded-lg shadow-sm p-6">
         <div className="text-center">
@@ -17,11 +20,29 @@ function TopicDisplay({ topic }) {
     )
   }
 
+  const topic = localizeTopic(roomTopic, locale)
+  const locales = roomTopic.locale ? [roomTopic.locale, ...Object.keys(roomTopic.translations || {})] : []
+  const activeText = topic.activePrompt && (topic.questions?.[topic.activePrompt.index] || topic.activePrompt.text)
+
   return (
     <div className="bg-white rounded-lg shadow-sm p-6">
-      <div className="flex items-center space-x-2 mb-4">
-        <Lightbulb className="w-6 h-6 text-yellow-500" />
-        <h3 className="text-lg font-semibold text-gray-900">Discussion Topic</h3>
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <Lightbulb className="w-6 h-6 text-yellow-500" />
+          <h3 className="text-lg font-semibold text-gray-900">Discussion Topic</h3>
+        </div>
+        {onLocaleChange && locales.length > 1 && (
+          <select
+            value={topic.locale}
+            onChange={(e) => onLocaleChange(e.target.value)}
+            className="text-sm px-2 py-1 border border-gray-300 rounded-md"
+            aria-label="Topic language"
+          >
+            {Array.from(new Set(locales)).map(code => (
+              <option key={code} value={code}>{languageLabel(code)}</option>
+            ))}
+          </select>
+        )}
       </div>
       
       <div className="space-y-3">
@@ -31,16 +52,32 @@ function TopicDisplay({ topic }) {
           <p className="text-gray-700 leading-relaxed">{topic.description}</p>
         )}
         
+        {topic.activePrompt && (
+          <div className="p-3 rounded-md bg-primary-50 border border-primary-200">
+            <p className="text-xs font-semibold text-primary-700 uppercase tracking-wide mb-1 flex items-center">
+              Round {topic.activePrompt.round} prompt
+              {topic.activePrompt.source === 'ai' && <Sparkles className="w-3 h-3 ml-1" aria-label="AI follow-up" />}
+            </p>
+            <p className="text-gray-900 font-medium">{activeText}</p>
+          </div>
+        )}
+
         {topic.questions && topic.questions.length > 0 && (
           <div className="mt-4">
             <h5 className="font-semibold text-gray-900 mb-2">Think about:</h5>
             <ul className="space-y-1">
-              {topic.questions.map((question, index) => (
-                <li key={index} className="text-sm text-gray-600 flex items-start">
-                  <span className="text-primary-500 mr-2">•</span>
-                  <span>{question}</span>
-                </li>
-              ))}
+              {topic.questions.map((question, index) => {
+                const active = topic.activePrompt?.index === index
+                return (
+                  <li
+                    key={index}
+                    className={`text-sm flex items-start ${active ? 'text-primary-700 font-semibold' : 'text-gray-600'}`}
+                  >
+                    <span className="text-primary-500 mr-2">{active ? '▸' : '•'}</span>
+                    <span>{question}</span>
+                  </li>
+                )
+              })}
             </ul>
           </div>
         )}
@@ -53,6 +90,10 @@ function TopicDisplay({ topic }) {
             </span>
           </div>
         )}
+
+        {topic.selection?.reason && (
+          <p className="text-xs text-gray-500">Why this topic: {topic.selection.reason}</p>
+        )}
       </div>
     </div>
   )
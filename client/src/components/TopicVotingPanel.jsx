@@ -0,0 +1,150 @@
+import React, { useState } from 'react'
+import { Vote, Plus, Check } from 'lucide-react'
+
+const MAX_QUESTIONS = 10
+
+/**
+ * TopicVotingPanel Component
+ * Lobby ballot for the next discussion topic: live tallies, one vote per
+ * participant (which can be moved) and a form to propose a topic
+ */
+function TopicVotingPanel({ ballot, userId, enabled, onVote, onPropose }) {
+  const [title, setTitle] = useState('')
+  const [description, setDescription] = useState('')
+  const [questions, setQuestions] = useState('')
+  const [proposing, setProposing] = useState(false)
+
+  const candidates = ballot?.candidates || []
+  const totalVotes = ballot?.totalVotes || 0
+  const myVote = ballot?.votes?.[userId]
+
+  /**
+   * Send the proposal and reset the form
+   */
+  const handlePropose = (e) => {
+    e.preventDefault()
+    if (!title.trim()) return
+    onPropose({
+      title: title.trim(),
+      description: description.trim(),
+      // One question per line, used as the prompt for each round
+      questions: questions.split('\n').map(q => q.trim()).filter(Boolean).slice(0, MAX_QUESTIONS)
+    })
+    setTitle('')
+    setDescription('')
+    setQuestions('')
+    setProposing(false)
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <Vote className="w-5 h-5 text-gray-600" />
+          <h3 className="text-lg font-semibold text-gray-900">Vote on the Topic</h3>
+        </div>
+        <span className="text-sm text-gray-500">
+          {totalVotes} {totalVotes === 1 ? 'vote' : 'votes'}
+        </span>
+      </div>
+
+      {candidates.length === 0 ? (
+        <p className="text-sm text-gray-500">Gathering topic ideas...</p>
+      ) : (
+        <div className="space-y-2">
+          {candidates.map((candidate) => {
+            const share = totalVotes > 0 ? Math.round((candidate.votes / totalVotes) * 100) : 0
+            const selected = candidate.id === myVote
+            return (
+              <button
+                key={candidate.id}
+                onClick={() => onVote(candidate.id)}
+                disabled={!enabled}
+                className={`w-full text-left p-3 rounded-md border transition-colors ${
+                  selected
+                    ? 'border-primary-500 bg-primary-50'
+                    : 'border-gray-200 hover:bg-gray-50'
+                } disabled:cursor-not-allowed`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-medium text-gray-900 flex items-center space-x-1">
+                    {selected && <Check className="w-4 h-4 text-primary-600" />}
+                    <span>{candidate.title}</span>
+                  </span>
+                  <span className="text-sm text-gray-600">{candidate.votes}</span>
+                </div>
+                {candidate.description && (
+                  <p className="text-xs text-gray-500 mt-1">{candidate.description}</p>
+                )}
+                <div className="mt-2 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                  <div className="h-full bg-primary-500" style={{ width: `${share}%` }}></div>
+                </div>
+                <p className="text-xs text-gray-400 mt-1">
+                  {candidate.proposedBy ? 'Proposed by a participant' : candidate.category}
+                </p>
+              </button>
+            )
+          })}
+        </div>
+      )}
+
+      {enabled && (proposing ? (
+        <form onSubmit={handlePropose} className="mt-4 space-y-2">
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            maxLength={120}
+            placeholder="Topic title"
+            className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+          />
+          <textarea
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            maxLength={500}
+            rows={2}
+            placeholder="Short description (optional)"
+            className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+          />
+          <textarea
+            value={questions}
+            onChange={(e) => setQuestions(e.target.value)}
+            rows={3}
+            placeholder={`Questions to discuss, one per line (optional, up to ${MAX_QUESTIONS})`}
+            className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+          />
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              disabled={!title.trim()}
+              className="px-3 py-1 bg-primary-600 text-white text-sm rounded-md hover:bg-primary-700 disabled:opacity-50"
+            >
+              Propose
+            </button>
+            <button
+              type="button"
+              onClick={() => setProposing(false)}
+              className="px-3 py-1 bg-gray-100 text-gray-700 text-sm rounded-md hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          onClick={() => setProposing(true)}
+          className="mt-4 flex items-center space-x-1 text-sm text-primary-600 hover:text-primary-700 font-medium"
+        >
+          <Plus className="w-4 h-4" />
+          <span>Propose a topic</span>
+        </button>
+      ))}
+
+      <p className="text-xs text-gray-500 mt-3">
+        The topic with the most votes is used when the discussion starts.
+      </p>
+    </div>
+  )
+}
+
+export default TopicVotingPanel
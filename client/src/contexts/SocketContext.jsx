@@ -19,6 +19,8 @@ export function SocketProvider({ children }) {
   const metaRef = React.useRef({ currentRoom: null, selectedRole: null })
   const [socket, setSocket] = useState(null)
   const [connected, setConnected] = useState(false)
+  // Sent as x-user-token to read this user's own data over HTTP
+  const [userToken, setUserToken] = useState(null)
   const { isAuthenticated, user, anonymousName } = useAuth()
 
   useEffect(() => {
@@ -58,6 +60,10 @@ export function SocketProvider({ children }) {
         setConnected(false)
       })
 
+      newSocket.on('user-token', ({ token }) => {
+        setUserToken(token)
+      })
+
       newSocket.on('connect_error', (error) => {
         console.error('[Socket] Connection error:', error)
         setConnected(false)
@@ -79,6 +85,7 @@ export function SocketProvider({ children }) {
         metaRef.current = { currentRoom: null, selectedRole: null }
         setSocket(null)
         setConnected(false)
+        setUserToken(null)
       }
     }
   }, [isAuthenticated, user, anonymousName])
@@ -156,15 +163,132 @@ export function SocketProvider({ children }) {
     if (s && s.emit) s.emit('next-speaker')
   }
 
+  /**
+   * Raise or lower hand for the raise-hand speaking queue
+   * @param {boolean} raised - True to raise, false to lower
+   */
+  const setHandRaised = (raised) => {
+    const s = socketRef.current || socket
+    if (s && s.emit) s.emit(raised ? 'raise-hand' : 'lower-hand')
+  }
+
+  /**
+   * Update settings for the current room (before the discussion starts)
+   * @param {Object} updates - Settings to change
+   */
+  const updateRoomSettings = (updates) => {
+    const s = socketRef.current || socket
+    if (s && s.emit) s.emit('update-room-settings', updates)
+  }
+
+  /**
+   * Start the discussion without waiting for auto-start (host only)
+   */
+  const startDiscussion = () => {
+    const s = socketRef.current || socket
+    if (s && s.emit) s.emit('start-discussion-manual')
+  }
+
+  /**
+   * End the discussion early (host only)
+   */
+  const endDiscussion = () => {
+    const s = socketRef.current || socket
+    if (s && s.emit) s.emit('end-discussion')
+  }
+
+  /**
+   * Freeze the speaking timer (host only)
+   */
+  const pauseDiscussion = () => {
+    const s = socketRef.current || socket
+    if (s && s.emit) s.emit('pause-discussion')
+  }
+
+  /**
+   * Restart the speaking timer after a pause (host only)
+   */
+  const resumeDiscussion = () => {
+    const s = socketRef.current || socket
+    if (s && s.emit) s.emit('resume-discussion')
+  }
+
+  /**
+   * Give the current speaker extra time (host only)
+   * @param {number} seconds - Seconds to add
+   */
+  const extendSpeakerTime = (seconds = 30) => {
+    const s = socketRef.current || socket
+    if (s && s.emit) s.emit('extend-speaker-time', { seconds })
+  }
+
+  /**
+   * Remove a participant from the room (host only)
+   * @param {string} userId - Participant to remove
+   */
+  const kickParticipant = (userId) => {
+    const s = socketRef.current || socket
+    if (s && s.emit) s.emit('kick-participant', { userId })
+  }
+
+  /**
+   * Mute a participant's microphone (host only)
+   * @param {string} userId - Participant to mute
+   */
+  const muteParticipant = (userId) => {
+    const s = socketRef.current || socket
+    if (s && s.emit) s.emit('mute-participant', { userId })
+  }
+
+  /**
+   * Hand the host role to another participant (host only)
+   * @param {string} userId - New host
+   */
+  const transferHost = (userId) => {
+    const s = socketRef.current || socket
+    if (s && s.emit) s.emit('transfer-host', { userId })
+  }
+
+  /**
+   * Put a topic on the lobby ballot
+   * @param {Object} topic - { title, description, category }
+   */
+  const proposeTopic = (topic) => {
+    const s = socketRef.current || socket
+    if (s && s.emit) s.emit('propose-topic', topic)
+  }
+
+  /**
+   * Vote for a topic on the lobby ballot (replaces any earlier vote)
+   * @param {string} candidateId - Ballot entry id
+   */
+  const voteTopic = (candidateId) => {
+    const s = socketRef.current || socket
+    if (s && s.emit) s.emit('vote-topic', { candidateId })
+  }
+
   const value = {
     socket,
     connected,
+    userToken,
     joinRoom,
     leaveRoom,
     sendMessage,
     signalReady,
     requestNextSpeaker,
-    changeRole
+    changeRole,
+    setHandRaised,
+    updateRoomSettings,
+    startDiscussion,
+    endDiscussion,
+    pauseDiscussion,
+    resumeDiscussion,
+    extendSpeakerTime,
+    kickParticipant,
+    muteParticipant,
+    transferHost,
+    proposeTopic,
+    voteTopic
   }
 
   return (
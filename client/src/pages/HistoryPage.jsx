@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { useSocket } from '../contexts/SocketContext'
+import DiscussionSummary from '../components/DiscussionSummary'
+import { ArrowLeft, History, Clock, MessageSquare, RefreshCw } from 'lucide-react'
+
+/**
+ * Format seconds as a short duration
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "12m 05s" or "45s"
+ */
+const formatDuration = (seconds = 0) => {
+  const minutes = Math.floor(seconds / 60)
+  const rest = String(seconds % 60).padStart(2, '0')
+  return minutes > 0 ? `${minutes}m ${rest}s` : `${seconds}s`
+}
+
+/**
+ * History Page Component
+ * The logged-in user's past discussions: totals, topics and each session
+ */
+function HistoryPage() {
+  const navigate = useNavigate()
+  const { user, anonymousName } = useAuth()
+  // The server only shows a user their own history
+  const { userToken } = useSocket()
+  const [history, setHistory] = useState(null)
+  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [openSummary, setOpenSummary] = useState(null)
+  const [summaries, setSummaries] = useState({})
+
+  const apiUrl = import.meta.env.VITE_API_URL || ''
+
+  /**
+   * Load the user's history from the server
+   */
+  const fetchHistory = async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      const res = await fetch(`${apiUrl}/api/users/${encodeURIComponent(user.id)}/history?limit=50`, {
+        headers: { 'x-user-token': userToken }
+      })
+      const json = await res.json()
+      if (!json?.success) {
+        setError(json?.error || 'Failed to load your history')
+        return
+      }
+      setHistory(json.data)
+    } catch (err) {
+      console.warn('[History] Failed to fetch history', err)
+      setError('Failed to load your history')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Wait for the token, which arrives once the socket has connected
+  useEffect(() => {
+    if (userToken) fetchHistory()
+  }, [user.id, userToken])
+
+  /**
+   * Show or hide a session's summary, fetching it the first time
+   * @param {string} sessionId - Session ID
+   */
+  const toggleSummary = async (sessionId) => {
+    if (openSummary === sessionId) {
+      setOpenSummary(null)
+      return
+    }
+    setOpenSummary(sessionId)
+    if (summaries[sessionId]) return
+
+    try {
+      const res = await fetch(`${apiUrl}/api/sessions/${sessionId}/summary`)
+      const json = await res.json()
+      setSummaries(prev => ({ ...prev, [sessionId]: json?.success ? json.data.summary : { error: json?.error } }))
+    } catch (err) {
+      console.warn('[History] Failed to fetch summary', err)
+      setSummaries(prev => ({ ...prev, [sessionId]: { error: 'Failed to load the summary' } }))
+    }
+  }
+
+  const totals = history?.totals
+
+  return (
+    <div className="min-h-screen flex flex-col">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-6xl mx-auto px-4 py-3 flex justify-between items-center">
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={() => navigate('/lobby')}
+              className="p-2 text-gray-600 hover:text-gray-900 transition-colors"
+              title="Back to lobby"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+            <div className="w-8 h-8 bg-primary-600 rounded-full flex items-center justify-center">
+              <History className="w-5 h-5 text-white" />
+            </div>
+            <div>
+              <h1 className="text-lg font-semibold text-gray-900">My History</h1>
+              <p className="text-sm text-gray-500">{anonymousName}</p>
+            </div>
+          </div>
+
+          <button
+            onClick={fetchHistory}
+            className="p-2 text-gray-600 hover:text-gray-900 transition-colors"
+            title="Refresh"
+          >
+            <RefreshCw className="w-5 h-5" />
+          </button>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="flex-1 max-w-4xl mx-auto w-full p-6 space-y-6">
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4 text-sm">{error}</div>
+        )}
+
+        {loading && !history && (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto mb-4"></div>
+            <p className="text-gray-600">Loading your history...</p>
+          </div>
+        )}
+
+        {totals && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              { label: 'Sessions', value: totals.sessions },
+              { label: 'Speaking time', value: formatDuration(totals.speakingSeconds) },
+              { label: 'Turns', value: totals.turns },
+              { label: 'Rounds attended', value: totals.roundsAttended }
+            ].map(stat => (
+              <div key={stat.label} className="bg-white rounded-lg shadow-sm p-4 text-center">
+                <div className="text-2xl font-bold text-primary-600">{stat.value}</div>
+                <div className="text-sm text-gray-600">{stat.label}</div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {history && history.sessions.length === 0 && (
+          <div className="bg-white rounded-lg shadow-sm p-6 text-center text-gray-600">
+            No discussions yet. Join a room from the lobby to get started.
+          </div>
+        )}
+
+        {history && history.topics.length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Topics ({totals.topics})</h2>
+            <div className="flex flex-wrap gap-2">
+              {history.topics.map(topic => (
+                <span
+                  key={`${topic.title}|${topic.category}`}
+                  className="px-3 py-1 bg-primary-50 text-primary-700 rounded-full text-sm"
+                  title={topic.category || undefined}
+                >
+                  {topic.title}{topic.sessions > 1 ? ` ×${topic.sessions}` : ''}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {history && history.sessions.length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Sessions</h2>
+            <ul className="divide-y">
+              {history.sessions.map(session => (
+                <li key={session.sessionId} className="py-3">
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <div className="font-medium text-gray-900">{session.topic.title || 'Untitled topic'}</div>
+                      <div className="text-xs text-gray-500">
+                        {session.startedAt ? new Date(session.startedAt).toLocaleString() : 'Unknown date'}
+                        {session.topic.category && ` · ${session.topic.category}`}
+                        {` · as ${session.anonymousName}`}
+                      </div>
+                    </div>
+                    <div className="text-right text-sm text-gray-600 space-y-1">
+                      <div className="flex items-center justify-end space-x-1">
+                        <Clock className="w-4 h-4" />
+                        <span>{formatDuration(session.speakingSeconds)} · {session.turns} turns</span>
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        {session.endedAt ? `${session.roundsCompleted} rounds · ${session.participantCount} people` : 'In progress'}
+                      </div>
+                    </div>
+                  </div>
+
+                  {session.hasSummary && (
+                    <button
+                      onClick={() => toggleSummary(session.sessionId)}
+                      className="mt-2 flex items-center space-x-1 text-sm text-primary-600 hover:text-primary-700"
+                    >
+                      <MessageSquare className="w-4 h-4" />
+                      <span>{openSummary === session.sessionId ? 'Hide summary' : 'Show summary'}</span>
+                    </button>
+                  )}
+                  {openSummary === session.sessionId && (
+                    <div className="mt-3 p-4 bg-gray-50 rounded-lg">
+                      {!summaries[session.sessionId] && <p className="text-sm text-gray-500">Loading summary...</p>}
+                      {summaries[session.sessionId]?.error && (
+                        <p className="text-sm text-red-600">{summaries[session.sessionId].error}</p>
+                      )}
+                      {summaries[session.sessionId]?.synopsis && (
+                        <DiscussionSummary summary={summaries[session.sessionId]} />
+                      )}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
+
+export default HistoryPage
@@ -3,7 +3,13 @@ import { useNavigate } from 'react-router-dom'
 import { useSocket } from '../contexts/SocketContext'
 import { useAuth } from '../contexts/AuthContext'
 import { useAudio } from '../contexts/AudioContext'
-import { Users, Clock, Mic, MicOff, LogOut, Settings } from 'lucide-react'
+import RoomSettingsPanel from '../components/RoomSettingsPanel'
+import RoomBrowser from '../components/RoomBrowser'
+import TopicVotingPanel from '../components/TopicVotingPanel'
+
+// Room every user starts in
+const DEFAULT_ROOM_ID = 'general'
+import { Users, Clock, Mic, MicOff, LogOut, Settings, Crown, History } from 'lucide-react'
 
 // Global flag to prevent multiple late join checks (accessible across components)
 if (typeof window !== 'undefined') {
@@ -16,7 +22,7 @@ if (typeof window !== 'undefined') {
  */
 function LobbyPage() {
   const navigate = useNavigate()
-  const { socket, connected, joinRoom, signalReady } = useSocket()
+  const { socket, connected, joinRoom, signalReady, updateRoomSettings, startDiscussion, proposeTopic, voteTopic } = useSocket()
   const { user, anonymousName, logout } = useAuth()
   const { 
     audioEnabled, 
@@ -29,9 +35,11 @@ function LobbyPage() {
   
   const [
     participants, setParticipants] = useState([])
-  const [roomId, setRoomId] = useState('general')
+  const [roomId, setRoomId] = useState(() => sessionStorage.getItem('lobby-room-id') || DEFAULT_ROOM_ID)
   const [selectedRole, setSelectedRole] = useState('speaker') // Default to speaker
-  const [minParticipants, setMinParticipants] = useState(1) // Default to 1 for solo testing
+  const [roomSettings, setRoomSettings] = useState(null)
+  const [settingsError, setSettingsError] = useState(null)
+  const [topicVote, setTopicVote] = useState(null)
   const [isReady, setIsReady] = useState(false)
   const [waitingTime, setWaitingTime] = useState(0)
   const [systemMessage, setSystemMessage] = useState('Connecting to lobby...')
@@ -147,6 +155,40 @@ function LobbyPage() {
       console.log('[Lobby][Debug] Ready users:', readyUsers)
     })
 
+    // Handle room settings changes
+    socket.on('room-settings-updated', (settings) => {
+      console.log('[Lobby][Debug] Received room-settings-updated:', settings)
+      setRoomSettings(settings)
+      setSettingsError(null)
+    })
+
+    socket.on('room-settings-error', ({ message }) => {
+      setSettingsError(message)
+    })
+
+    // Live topic ballot tallies
+    socket.on('topic-vote-update', (ballot) => {
+      setTopicVote(ballot)
+    })
+
+    // Handle the room being closed by its owner
+    socket.on('room-closed', () => {
+      console.log('[Lobby][Debug] Room closed - returning to default room')
+      setSystemMessage('This room was closed. You have been moved to the general room.')
+      switchRoom(DEFAULT_ROOM_ID)
+    })
+
+    // Handle join failures (room missing or full) and rejected host actions
+    // Payload: { code, message, event }
+    socket.on('error', (payload) => {
+      console.warn('[Lobby][Debug] Received error:', payload)
+      if (payload?.code === 'ROOM_NOT_FOUND' && roomId !== DEFAULT_ROOM_ID) {
+        switchRoom(DEFAULT_ROOM_ID)
+      } else if (payload?.message) {
+        setSystemMessage(payload.message)
+      }
+    })
+
     // Handle system messages
     socket.on('system-message', (message) => {
       console.log('[Lobby][Debug] Received system-message:', message)
@@ -160,29 +202,33 @@ function LobbyPage() {
       socket.off('participants-update')
       socket.off('discussion-started')
       socket.off('user-ready-update')
+      socket.off('room-settings-updated')
+      socket.off('room-settings-error')
+      socket.off('topic-vote-update')
+      socket.off('room-closed')
+      socket.off('error')
       socket.off('system-message')
     }
   }, [socket, joinRoom, roomId, selectedRole, navigate, connected, isNavigating])
 
-  // Fetch server-side configuration (minParticipants, etc.)
+  // Fetch the room's discussion settings (minParticipants, rounds, etc.)
   useEffect(() => {
-    const fetchConfig = async () => {
+    const fetchRoomSettings = async () => {
       try {
         const apiUrl = import.meta.env.VITE_API_URL || '';
-        const res = await fetch(`${apiUrl}/api/config`)
+        const res = await fetch(`${apiUrl}/api/room/${roomId}/state`)
         const json = await res.json()
-        const serverMin = json?.data?.minParticipants
-        // Force minParticipants to 1 for local/single-user testing
-        setMinParticipants(1)
-        // If you want to use server config, comment out the line above and uncomment below
-        // if (serverMin && Number.isFinite(serverMin)) setMinParticipants(serverMin)
+        if (json?.settings) setRoomSettings(json.settings)
+        if (json?.topicVote) setTopicVote(json.topicVote)
       } catch (err) {
-        console.warn('Failed to fetch server config, using defaults', err)
+        console.warn('Failed to fetch room settings, using defaults', err)
       }
     }
 
-    fetchConfig()
-  }, [])
+    fetchRoomSettings()
+  }, [roomId])
+
+  const minParticipants = roomSettings?.minParticipants || 1
 
   // Sync role between lobby selection and audio context
   useEffect(() => {
@@ -201,6 +247,22 @@ function LobbyPage() {
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`
   }
 
+  /**
+   * Move to another room from the room browser
+   * @param {string} newRoomId - Room to join
+   */
+  const switchRoom = (newRoomId) => {
+    sessionStorage.setItem('lobby-room-id', newRoomId)
+    setRoomId(newRoomId)
+    setIsReady(false)
+    setRoomSettings(null)
+    setTopicVote(null)
+    if (connected) {
+      console.log(`[Lobby] Switching to room ${newRoomId}`)
+      joinRoom(newRoomId, selectedRole)
+    }
+  }
+
   /**
    * Handle ready button click
    */
@@ -240,6 +302,7 @@ function LobbyPage() {
   }
 
   const canStart = participants.length >= minParticipants && audioEnabled
+  const isHost = participants.some(p => p.id === user?.id && p.isHost)
 
   // Show loading state while navigating
   if (isNavigating) {
@@ -285,6 +348,15 @@ function LobbyPage() {
               <span>{formatTime(waitingTime)}</span>
             </div>
             
+            {/* History */}
+            <button
+              onClick={() => navigate('/history')}
+              className="p-2 text-gray-600 hover:text-gray-900 transition-colors"
+              title="My history"
+            >
+              <History className="w-5 h-5" />
+            </button>
+            
             {/* Logout */}
             <button
               onClick={handleLogout}
@@ -386,6 +458,14 @@ function LobbyPage() {
               </div>
             </div>
 
+            {/* Discussion Settings */}
+            <RoomSettingsPanel
+              settings={roomSettings}
+              editable={connected && isHost}
+              error={settingsError}
+              onChange={updateRoomSettings}
+            />
+
             {/* Audio Setup */}
             {selectedRole === 'speaker' && !audioEnabled && (
               <div className="bg-white rounded-lg shadow-sm p-6">
@@ -443,50 +523,74 @@ function LobbyPage() {
             )}
           </div>
 
-          {/* Participants List */}
-          <div className="bg-white rounded-lg shadow-sm p-6">
-            <h2 className="text-lg font-semibold text-gray-900 mb-4">
-              Participants ({participants.length})
-            </h2>
+          <div className="space-y-6">
+            {/* Topic Voting */}
+            <TopicVotingPanel
+              ballot={topicVote}
+              userId={user?.id}
+              enabled={connected}
+              onVote={voteTopic}
+              onPropose={proposeTopic}
+            />
+
+            {/* Room Browser */}
+            <RoomBrowser
+              currentRoomId={roomId}
+              onJoin={switchRoom}
+            />
+
+            {/* Participants List */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                Participants ({participants.length})
+              </h2>
             
-            <div className="space-y-3">
-              {participants.map((participant) => (
-                <div 
-                  key={participant.id} 
-                  className="flex items-center space-x-3 p-3 bg-gray-50 rounded-md"
-                >
-                  <div className="w-10 h-10 bg-primary-600 rounded-full flex items-center 
-                                  justify-center text-white font-semibold">
-                    {participant.anonymousName.charAt(0).toUpperCase()}
-                  </div>
-                  <div className="flex-1">
-                    <p className="font-medium text-gray-900">{participant.anonymousName}</p>
-                    <div className="flex items-center space-x-2">
-                      <span className={`text-xs px-2 py-1 rounded-full font-medium ${
-                        participant.role === 'speaker' 
-                          ? 'bg-green-100 text-green-800' 
-                          : 'bg-blue-100 text-blue-800'
-                      }`}>
-                        {participant.role === 'speaker' ? '🎤 Speaker' : '👂 Listener'}
-                      </span>
-                      <span className="text-sm text-gray-500">
-                        {participant.isReady ? 'Ready' : 'Waiting'}
-                      </span>
+              <div className="space-y-3">
+                {participants.map((participant) => (
+                  <div 
+                    key={participant.id} 
+                    className="flex items-center space-x-3 p-3 bg-gray-50 rounded-md"
+                  >
+                    <div className="w-10 h-10 bg-primary-600 rounded-full flex items-center 
+                                    justify-center text-white font-semibold">
+                      {participant.anonymousName.charAt(0).toUpperCase()}
                     </div>
+                    <div className="flex-1">
+                      <p className="font-medium text-gray-900 flex items-center space-x-1">
+                        <span>{participant.anonymousName}</span>
+                        {participant.isHost && (
+                          <Crown className="w-4 h-4 text-yellow-500" aria-label="Host" />
+                        )}
+                      </p>
+                      <div className="flex items-center space-x-2">
+                        <span className={`text-xs px-2 py-1 rounded-full font-medium ${
+                          participant.role === 'speaker' 
+                            ? 'bg-green-100 text-green-800' 
+                            : 'bg-blue-100 text-blue-800'
+                        }`}>
+                          {participant.role === 'speaker' ? '🎤 Speaker' : '👂 Listener'}
+                        </span>
+                        <span className="text-sm text-gray-500">
+                          {participant.status === 'reconnecting'
+                            ? 'Reconnecting...'
+                            : participant.isReady ? 'Ready' : 'Waiting'}
+                        </span>
+                      </div>
+                    </div>
+                    {participant.isReady && (
+                      <div className="w-3 h-3 bg-green-500 rounded-full"></div>
+                    )}
                   </div>
-                  {participant.isReady && (
-                    <div className="w-3 h-3 bg-green-500 rounded-full"></div>
-                  )}
-                </div>
-              ))}
+                ))}
               
-              {/* Empty slots */}
-              {participants.length < 2 && (
-                <div className="text-center py-8 text-gray-500">
-                  <Users className="w-12 h-12 mx-auto mb-2 opacity-50" />
-                  <p>Waiting for more participants to join...</p>
-                </div>
-              )}
+                {/* Empty slots */}
+                {participants.length < 2 && (
+                  <div className="text-center py-8 text-gray-500">
+                    <Users className="w-12 h-12 mx-auto mb-2 opacity-50" />
+                    <p>Waiting for more participants to join...</p>
+                  </div>
+                )}
+              </div>
             </div>
           </div>
         </div>
@@ -512,6 +616,21 @@ function LobbyPage() {
             </div>
           )}
           
+          {isHost && roomSettings && !roomSettings.autoStart && (
+            <div className="mt-4">
+              <button
+                onClick={startDiscussion}
+                className="px-6 py-2 bg-primary-600 text-white font-semibold rounded-lg
+                           hover:bg-primary-700 transition-colors"
+              >
+                Start Discussion Now
+              </button>
+              <p className="text-xs text-gray-500 mt-1">
+                Auto-start is off - as host, start once everyone is ready
+              </p>
+            </div>
+          )}
+
           {!canStart && (
             <p className="text-gray-500">
               {!audioEnabled 
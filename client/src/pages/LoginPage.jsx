@@ -2,6 +2,7 @@ import React, { useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import { Users, MessageSquare, Brain } from 'lucide-react'
+import { LANGUAGES, browserLocale } from '../utils/locale'
 
 /**
  * Login Page Component
@@ -16,6 +17,7 @@ function LoginPage() {
     name: '',
     campus: '',
     location: '',
+    locale: browserLocale(),
     anonymousName: ''
   })
   
@@ -249,6 +251,26 @@ function LoginPage() {
             {errors.location && <p className="mt-1 text-sm text-red-600">{errors.location}</p>}
           </div>
 
+          {/* Preferred language for topics */}
+          <div>
+            <label htmlFor="locale" className="block text-sm font-medium text-gray-700">
+              Preferred Language
+            </label>
+            <select
+              id="locale"
+              name="locale"
+              value={formData.locale}
+              onChange={handleChange}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm 
+                         focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+            >
+              {LANGUAGES.map(language => (
+                <option key={language.code} value={language.code}>{language.label}</option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-500">Topics are shown in this language when a translation exists</p>
+          </div>
+
           {/* Anonymous Name */}
           <div>
             <label htmlFor="anonymousName" className="block text-sm font-medium text-gray-700">
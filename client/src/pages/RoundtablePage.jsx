@@ -7,17 +7,40 @@ import RoundtableView from '../components/RoundtableView'
 import TopicDisplay from '../components/TopicDisplay'
 import SpeakerTimer from '../components/SpeakerTimer'
 import ParticipantControls from '../components/ParticipantControls'
-import { LogOut, Users } from 'lucide-react'
+import DiscussionSummary from '../components/DiscussionSummary'
+import FeedbackForm from '../components/FeedbackForm'
+import { LogOut, Users, Crown, MicOff, UserX, SkipForward, Square, Pause, Play, Plus } from 'lucide-react'
 import LiveAudioLevelBar from '../components/LiveAudioLevelBar'
 
+// Display names for the server's turn-taking strategies
+const STRATEGY_LABELS = {
+  'round-robin': 'Round robin',
+  random: 'Random order',
+  'least-time': 'Least time first',
+  'raise-hand': 'Raise-hand queue'
+}
+
 /**
  * Roundtable Page Component
  * Main discussion interface with visual roundtable, timer, and speaking controls
  */
 function RoundtablePage() {
   const navigate = useNavigate()
-  const { socket, connected, changeRole } = useSocket()
-  const { user, anonymousName, logout } = useAuth()
+  const {
+    socket,
+    connected,
+    changeRole,
+    setHandRaised,
+    requestNextSpeaker,
+    endDiscussion,
+    pauseDiscussion,
+    resumeDiscussion,
+    extendSpeakerTime,
+    kickParticipant,
+    muteParticipant,
+    transferHost
+  } = useSocket()
+  const { user, anonymousName, logout, updateProfile } = useAuth()
   const { enableSpeaking, disableSpeaking, enableAudioPlayback, userRole } = useAudio()
 
   // Note: Room joining is handled by LobbyPage, no need to rejoin here
@@ -28,16 +51,24 @@ function RoundtablePage() {
   const [currentTopic, setCurrentTopic] = useState(null)
   const [currentSpeaker, setCurrentSpeaker] = useState(null)
   const [timeRemaining, setTimeRemaining] = useState(0)
+  const [turnEndsAt, setTurnEndsAt] = useState(null)
+  const [clockOffset, setClockOffset] = useState(0) // serverTime - localTime in ms
   const [speakingDuration, setSpeakingDuration] = useState(60) // Default 60 seconds
   const [discussionStarted, setDiscussionStarted] = useState(false)
   const [discussionEnded, setDiscussionEnded] = useState(false)
+  const [sessionSummary, setSessionSummary] = useState(null) // { sessionId, summary }
+  const [endedSessionId, setEndedSessionId] = useState(null)
   const [round, setRound] = useState(1)
+  const [strategy, setStrategy] = useState('round-robin')
+  const [handQueue, setHandQueue] = useState([])
+  const [paused, setPaused] = useState(false)
   
   // UI state
   const [isLoading, setIsLoading] = useState(true); // Start in loading state
   const [error, setError] = useState(null)
   const [showAudioEnablePrompt, setShowAudioEnablePrompt] = useState(false)
   const [topic, setTopic] = useState({ title: 'Welcome', description: 'Waiting for topic...' })
+  const [notice, setNotice] = useState(null)
 
   // Clear navigation state when roundtable page successfully mounts
   useEffect(() => {
@@ -66,9 +97,23 @@ function RoundtablePage() {
       setParticipants(updatedParticipants)
     };
 
-    const handleSpeakerChange = (speaker) => {
-      console.log('[Roundtable] Speaker changed:', speaker);
+    // Apply the server's turn clock (deadline, server time, pause state)
+    const applyClock = (clock) => {
+      if (!clock) return
+      if (typeof clock.serverNow === 'number') setClockOffset(clock.serverNow - Date.now())
+      if (typeof clock.timeRemaining === 'number') setTimeRemaining(clock.timeRemaining)
+      if (clock.duration) setSpeakingDuration(clock.duration)
+      setTurnEndsAt(clock.turnEndsAt || null)
+      setPaused(!!clock.paused)
+    };
+
+    const handleSpeakerChange = (payload) => {
+      console.log('[Roundtable] Speaker changed:', payload);
+      const speaker = payload?.speaker
       setCurrentSpeaker(speaker)
+      if (payload?.round) setRound(payload.round)
+      if (payload?.strategy) setStrategy(payload.strategy)
+      applyClock(payload)
       
       // Enable/disable speaking based on if current user is the speaker
       if (speaker && speaker.id === user?.id) {
@@ -78,21 +123,44 @@ function RoundtablePage() {
       }
     };
 
+    // The server moves the topic's active prompt on each round
     const handleTopicUpdate = (newTopic) => {
       console.log('[Roundtable] Topic updated:', newTopic);
       setTopic(newTopic);
+      setCurrentTopic(newTopic);
+    };
+
+    const handleHandQueueUpdate = (queue) => {
+      setHandQueue(queue || [])
+    };
+
+    // Pause, resume and extend are the only mid-turn clock corrections
+    const handleDiscussionPaused = (clock) => {
+      console.log('[Roundtable] Discussion paused');
+      applyClock(clock)
+    };
+
+    const handleDiscussionResumed = (clock) => {
+      console.log('[Roundtable] Discussion resumed');
+      applyClock(clock)
     };
 
-    const handleDiscussionStarted = ({ topic, firstSpeaker, duration }) => {
-      console.log('[Roundtable] Discussion started:', { topic, firstSpeaker, duration });
+    const handleSpeakerTimeExtended = (clock) => {
+      console.log(`[Roundtable] Speaker given ${clock?.seconds}s more`);
+      applyClock(clock)
+    };
+
+    const handleDiscussionStarted = (payload) => {
+      const { topic, firstSpeaker, strategy } = payload
+      console.log('[Roundtable] Discussion started:', { topic, firstSpeaker, duration: payload.duration });
       console.log('[Roundtable] Current user:', user);
       console.log('[Roundtable] Is current user first speaker?', firstSpeaker && firstSpeaker.id === user?.id);
       
       setTopic(topic);
       setCurrentTopic(topic);
-      setSpeakingDuration(duration);
-      setTimeRemaining(duration);
       setCurrentSpeaker(firstSpeaker);
+      applyClock(payload);
+      if (strategy) setStrategy(strategy);
       
       // Enable speaking if current user is the first speaker
       if (firstSpeaker && firstSpeaker.id === user?.id) {
@@ -103,20 +171,79 @@ function RoundtablePage() {
       }
     };
 
+    // The summary follows in 'session-summary' once the server has written it
+    const handleDiscussionEnded = (payload) => {
+      console.log('[Roundtable] Discussion ended:', payload?.sessionId);
+      disableSpeaking()
+      setEndedSessionId(payload?.sessionId || null)
+      setDiscussionEnded(true)
+    };
+
+    // Payload: { sessionId, summary }; summary is null if it could not be written
+    const handleSessionSummary = (payload) => {
+      console.log('[Roundtable] Session summary received:', payload?.sessionId);
+      setSessionSummary(payload)
+    };
+
+    // Host removed this user from the room
+    const handleKicked = () => {
+      console.log('[Roundtable] Removed from room by host')
+      disableSpeaking()
+      navigate('/lobby')
+    };
+
+    // Host muted this user's microphone
+    const handleForceMute = () => {
+      console.log('[Roundtable] Muted by host')
+      disableSpeaking()
+      setNotice('The host muted your microphone')
+    };
+
+    // Rejected actions (e.g. host-only controls)
+    // Payload: { code, message, event }
+    const handleError = (payload) => {
+      if (payload?.message) setNotice(payload.message)
+    };
+
     // No longer need a 'discussion-started' listener here
 
     socket.on('participants-update', handleParticipantsUpdate);
     socket.on('speaker-changed', handleSpeakerChange);
     socket.on('topic-update', handleTopicUpdate);
     socket.on('discussion-started', handleDiscussionStarted);
+    socket.on('discussion-ended', handleDiscussionEnded);
+    socket.on('session-summary', handleSessionSummary);
+    socket.on('hand-queue-update', handleHandQueueUpdate);
+    socket.on('discussion-paused', handleDiscussionPaused);
+    socket.on('discussion-resumed', handleDiscussionResumed);
+    socket.on('speaker-time-extended', handleSpeakerTimeExtended);
+    socket.on('kicked', handleKicked);
+    socket.on('force-mute', handleForceMute);
+    socket.on('error', handleError);
 
     return () => {
       socket.off('participants-update', handleParticipantsUpdate);
       socket.off('speaker-changed', handleSpeakerChange);
       socket.off('topic-update', handleTopicUpdate);
       socket.off('discussion-started', handleDiscussionStarted);
+      socket.off('discussion-ended', handleDiscussionEnded);
+      socket.off('session-summary', handleSessionSummary);
+      socket.off('hand-queue-update', handleHandQueueUpdate);
+      socket.off('discussion-paused', handleDiscussionPaused);
+      socket.off('discussion-resumed', handleDiscussionResumed);
+      socket.off('speaker-time-extended', handleSpeakerTimeExtended);
+      socket.off('kicked', handleKicked);
+      socket.off('force-mute', handleForceMute);
+      socket.off('error', handleError);
     };
-  }, [socket, user, enableSpeaking, disableSpeaking])
+  }, [socket, user, enableSpeaking, disableSpeaking, navigate])
+
+  // Clear notices after a few seconds
+  useEffect(() => {
+    if (!notice) return
+    const timeout = setTimeout(() => setNotice(null), 4000)
+    return () => clearTimeout(timeout)
+  }, [notice])
 
   // Auto-redirect if not connected or no participants
   useEffect(() => {
@@ -172,6 +299,26 @@ function RoundtablePage() {
     return currentSpeaker && currentSpeaker.id === user?.id
   }
 
+  const isHost = participants.some(p => p.id === user?.id && p.isHost)
+
+  /**
+   * Confirm and remove a participant (host only)
+   */
+  const handleKick = (participant) => {
+    if (window.confirm(`Remove ${participant.anonymousName} from the discussion?`)) {
+      kickParticipant(participant.id)
+    }
+  }
+
+  /**
+   * Confirm and end the discussion for everyone (host only)
+   */
+  const handleEndDiscussion = () => {
+    if (window.confirm('End the discussion for everyone?')) {
+      endDiscussion()
+    }
+  }
+
   /**
    * Toggle user role between speaker and listener
    */
@@ -243,6 +390,13 @@ function RoundtablePage() {
         </div>
       )}
 
+      {/* Notices (e.g. rejected host actions) */}
+      {notice && (
+        <div className="bg-red-50 border-l-4 border-red-400 p-3">
+          <p className="text-sm text-red-800 text-center">{notice}</p>
+        </div>
+      )}
+
       {/* Header */}
       <header className="bg-white shadow-sm border-b">
         <div className="max-w-6xl mx-auto px-4 py-3 flex justify-between items-center">
@@ -253,7 +407,9 @@ function RoundtablePage() {
               </div>
               <div>
                 <h1 className="text-lg font-semibold text-gray-900">AI Roundtable</h1>
-                <p className="text-sm text-gray-500">Round {round} • {participants.length} participants</p>
+                <p className="text-sm text-gray-500">
+                  Round {round} • {participants.length} participants • {STRATEGY_LABELS[strategy] || strategy}
+                </p>
               </div>
             </div>
             {/* Add the live audio level bar for your own mic */}
@@ -312,16 +468,23 @@ function RoundtablePage() {
         <div className="lg:w-80 space-y-4">
           {/* Topic Display */}
           {currentTopic && (
-            <TopicDisplay topic={currentTopic} />
+            <TopicDisplay
+              topic={currentTopic}
+              locale={user?.locale}
+              onLocaleChange={(locale) => updateProfile({ locale })}
+            />
           )}
           
           {/* Speaking Timer */}
           {discussionStarted && currentSpeaker && (
             <SpeakerTimer
               timeRemaining={timeRemaining}
+              turnEndsAt={turnEndsAt}
+              clockOffset={clockOffset}
               totalTime={speakingDuration}
               currentSpeaker={currentSpeaker}
               isCurrentUser={isCurrentUserSpeaking()}
+              paused={paused}
             />
           )}
           
@@ -348,6 +511,7 @@ function RoundtablePage() {
             currentSpeaker={currentSpeaker}
             currentTopic={currentTopic}
             discussionStarted={discussionStarted}
+            paused={paused}
           />
         </div>
 
@@ -358,8 +522,58 @@ function RoundtablePage() {
             isCurrentUserSpeaking={isCurrentUserSpeaking()}
             discussionStarted={discussionStarted}
             discussionEnded={discussionEnded}
+            strategy={strategy}
+            handRaised={handQueue.includes(user?.id)}
+            handQueuePosition={handQueue.indexOf(user?.id) + 1}
+            onToggleHand={() => setHandRaised(!handQueue.includes(user?.id))}
           />
           
+          {/* Host Controls */}
+          {isHost && !discussionEnded && (
+            <div className="bg-white rounded-lg shadow-sm p-4">
+              <h3 className="font-semibold text-gray-900 mb-3 flex items-center space-x-2">
+                <Crown className="w-4 h-4 text-yellow-500" />
+                <span>Host Controls</span>
+              </h3>
+              <div className="flex gap-2 mb-2">
+                <button
+                  onClick={paused ? resumeDiscussion : pauseDiscussion}
+                  className="flex-1 flex items-center justify-center space-x-1 px-3 py-2 text-sm
+                             border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+                >
+                  {paused ? <Play className="w-4 h-4" /> : <Pause className="w-4 h-4" />}
+                  <span>{paused ? 'Resume' : 'Pause'}</span>
+                </button>
+                <button
+                  onClick={() => extendSpeakerTime(30)}
+                  className="flex-1 flex items-center justify-center space-x-1 px-3 py-2 text-sm
+                             border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+                >
+                  <Plus className="w-4 h-4" />
+                  <span>30s</span>
+                </button>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={requestNextSpeaker}
+                  className="flex-1 flex items-center justify-center space-x-1 px-3 py-2 text-sm
+                             border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+                >
+                  <SkipForward className="w-4 h-4" />
+                  <span>Next Speaker</span>
+                </button>
+                <button
+                  onClick={handleEndDiscussion}
+                  className="flex-1 flex items-center justify-center space-x-1 px-3 py-2 text-sm
+                             bg-red-600 text-white rounded-md hover:bg-red-700"
+                >
+                  <Square className="w-4 h-4" />
+                  <span>End</span>
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Participants List */}
           <div className="bg-white rounded-lg shadow-sm p-4">
             <h3 className="font-semibold text-gray-900 mb-3">
@@ -395,11 +609,42 @@ function RoundtablePage() {
                     }`}>
                       {participant.anonymousName}
                       {participant.id === user?.id && ' (You)'}
+                      {participant.isHost && (
+                        <Crown className="inline w-3 h-3 ml-1 text-yellow-500" aria-label="Host" />
+                      )}
                     </p>
                     {currentSpeaker && currentSpeaker.id === participant.id && (
                       <p className="text-xs text-green-600">Speaking now</p>
                     )}
+                    {participant.status === 'reconnecting' && (
+                      <p className="text-xs text-yellow-600">Reconnecting...</p>
+                    )}
                   </div>
+                  {isHost && participant.id !== user?.id && (
+                    <div className="flex items-center space-x-1">
+                      <button
+                        onClick={() => muteParticipant(participant.id)}
+                        className="p-1 text-gray-500 hover:text-gray-900"
+                        title="Mute"
+                      >
+                        <MicOff className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => transferHost(participant.id)}
+                        className="p-1 text-gray-500 hover:text-yellow-600"
+                        title="Make host"
+                      >
+                        <Crown className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleKick(participant)}
+                        className="p-1 text-gray-500 hover:text-red-600"
+                        title="Remove from discussion"
+                      >
+                        <UserX className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
@@ -410,12 +655,28 @@ function RoundtablePage() {
       {/* Discussion End Modal */}
       {discussionEnded && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 max-w-md mx-4">
+          <div className="bg-white rounded-lg p-6 max-w-lg mx-4 max-h-[90vh] overflow-y-auto">
             <h2 className="text-xl font-semibold text-gray-900 mb-4">Discussion Completed!</h2>
             <p className="text-gray-600 mb-6">
               Thank you for participating in this AI-powered roundtable discussion. 
               We hope you enjoyed the conversation!
             </p>
+            {endedSessionId && (
+              <div className="mb-6 border-t border-gray-200 pt-4">
+                {sessionSummary?.sessionId !== endedSessionId ? (
+                  <p className="text-sm text-gray-500">Writing the discussion summary...</p>
+                ) : sessionSummary.summary ? (
+                  <DiscussionSummary summary={sessionSummary.summary} />
+                ) : (
+                  <p className="text-sm text-gray-500">The summary could not be written.</p>
+                )}
+              </div>
+            )}
+            {endedSessionId && (
+              <div className="mb-6 border-t border-gray-200 pt-4">
+                <FeedbackForm sessionId={endedSessionId} userId={user?.id} />
+              </div>
+            )}
             <div className="flex space-x-3">
               <button
                 onClick={() => navigate('/lobby')}
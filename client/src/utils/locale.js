@@ -0,0 +1,56 @@
+/**
+ * Locale helpers
+ * Languages offered for discussions and for showing topics, and picking a
+ * topic's translation for a participant
+ */
+
+// Languages offered in the UI (topics may carry any language code)
+export const LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'hi', label: 'हिन्दी (Hindi)' },
+  { code: 'bn', label: 'বাংলা (Bengali)' },
+  { code: 'mr', label: 'मराठी (Marathi)' },
+  { code: 'ta', label: 'தமிழ் (Tamil)' },
+  { code: 'te', label: 'తెలుగు (Telugu)' },
+  { code: 'kn', label: 'ಕನ್ನಡ (Kannada)' },
+  { code: 'ml', label: 'മലയാളം (Malayalam)' },
+  { code: 'gu', label: 'ગુજરાતી (Gujarati)' },
+  { code: 'pa', label: 'ਪੰਜਾਬੀ (Punjabi)' },
+  { code: 'ur', label: 'اردو (Urdu)' }
+]
+
+/**
+ * Display name for a language code
+ * @param {string} code - Language code
+ * @returns {string} Label, or the code itself if unknown
+ */
+export const languageLabel = (code) => LANGUAGES.find(l => l.code === code)?.label || code
+
+/**
+ * The browser's language if it is one we offer, otherwise English
+ * @returns {string} Language code
+ */
+export const browserLocale = () => {
+  const code = (navigator.language || 'en').split('-')[0].toLowerCase()
+  return LANGUAGES.some(l => l.code === code) ? code : 'en'
+}
+
+/**
+ * Show a topic in the participant's preferred locale when it has that translation
+ * Questions without a translation keep the room's text so round prompts line up.
+ * @param {Object} topic - Topic from the server (in the room's locale)
+ * @param {string} locale - Preferred locale
+ * @returns {Object} Topic with title, description and questions in the shown locale
+ */
+export const localizeTopic = (topic, locale) => {
+  const translation = locale && locale !== topic.locale ? topic.translations?.[locale] : null
+  if (!translation) return topic
+
+  return {
+    ...topic,
+    title: translation.title,
+    description: translation.description || topic.description,
+    questions: (topic.questions || []).map((question, index) => translation.questions?.[index] || question),
+    locale
+  }
+}
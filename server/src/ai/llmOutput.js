@@ -0,0 +1,61 @@
+import { callProvider, ProviderUnavailableError } from './providerHealth.js'
+
+/**
+ * LLM Output
+ * Helpers for asking a provider for JSON and checking what comes back
+ */
+
+/**
+ * Ask the provider for JSON output and parse it
+ * Bad output (not JSON, or rejected by `parse`) is retried up to
+ * LLM_MAX_ATTEMPTS times, telling the model what was wrong. Requests go
+ * through the provider's circuit breaker (see providerHealth.js).
+ * @param {LLMProvider} provider - Configured provider
+ * @param {Object} request - { system, prompt, parse, what } where parse(text) throws on bad output
+ * @returns {Promise<*|null>} Parsed result, or null if every attempt failed
+ */
+export async function completeWithRetries(provider, { system, prompt, parse, what }) {
+  const maxAttempts = parseInt(process.env.LLM_MAX_ATTEMPTS) || 3
+  let request = prompt
+
+  try {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const output = await callProvider(provider, { system, prompt: request })
+
+      try {
+        return parse(output)
+      } catch (error) {
+        console.warn(`${provider.label} returned an invalid ${what} (attempt ${attempt}/${maxAttempts}): ${error.message}`)
+        request = `${prompt} Your previous reply was rejected (${error.message}); reply with the JSON object only.`
+      }
+    }
+    return null
+  } catch (error) {
+    if (error instanceof ProviderUnavailableError) {
+      console.warn(`Not generating ${what}: ${error.message}`)
+    } else {
+      console.error(`Error generating ${what} with ${provider.label}:`, error.message)
+    }
+    return null
+  }
+}
+
+/**
+ * Extract the JSON object from model output
+ * @param {string} text - Raw model output
+ * @returns {Object} Parsed object
+ */
+export function parseJsonObject(text) {
+  // Models often wrap JSON in prose or code fences, so take the outermost object
+  const start = text.indexOf('{')
+  const end = text.lastIndexOf('}')
+  if (start === -1 || end <= start) {
+    throw new Error('no JSON object found')
+  }
+
+  try {
+    return JSON.parse(text.slice(start, end + 1))
+  } catch {
+    throw new Error('malformed JSON')
+  }
+}
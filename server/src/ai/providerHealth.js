@@ -0,0 +1,112 @@
+/**
+ * Provider Health
+ * A circuit breaker per LLM provider. After LLM_BREAKER_THRESHOLD consecutive
+ * failed requests (errors and timeouts; unusable output does not count) the
+ * provider is skipped for LLM_BREAKER_COOLDOWN_SECONDS, so callers fall back to
+ * the topic library straight away. After the cooldown one trial request
+ * decides whether the provider is used again.
+ */
+
+const DEFAULT_THRESHOLD = 3
+const DEFAULT_COOLDOWN_SECONDS = 60
+
+// Breaker state by provider name
+const breakers = new Map()
+
+/**
+ * Thrown instead of calling a provider whose circuit is open
+ */
+export class ProviderUnavailableError extends Error {
+  constructor(provider, retryAt) {
+    super(`${provider.label} is unavailable after repeated failures; skipping it until ${new Date(retryAt).toISOString()}`)
+    this.name = 'ProviderUnavailableError'
+    this.retryAt = retryAt
+  }
+}
+
+/**
+ * Get (or create) the breaker for a provider
+ * @param {LLMProvider} provider - Provider
+ * @returns {Object} Breaker state
+ */
+function getBreaker(provider) {
+  if (!breakers.has(provider.name)) {
+    breakers.set(provider.name, {
+      open: false,
+      retryAt: null,
+      trialInFlight: false,
+      consecutiveFailures: 0,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null
+    })
+  }
+  return breakers.get(provider.name)
+}
+
+/**
+ * Call a provider's complete() through its circuit breaker
+ * @param {LLMProvider} provider - Configured provider
+ * @param {Object} request - { system, prompt, temperature, maxTokens }
+ * @returns {Promise<string>} Raw model output
+ * @throws {ProviderUnavailableError} While the circuit is open
+ */
+export async function callProvider(provider, request) {
+  const breaker = getBreaker(provider)
+  let trial = false
+  if (breaker.open) {
+    if (Date.now() < breaker.retryAt || breaker.trialInFlight) {
+      throw new ProviderUnavailableError(provider, breaker.retryAt)
+    }
+    trial = true
+    breaker.trialInFlight = true
+  }
+
+  try {
+    const output = await provider.complete(request)
+    Object.assign(breaker, { open: false, retryAt: null, consecutiveFailures: 0, lastSuccessAt: Date.now() })
+    return output
+  } catch (error) {
+    const threshold = parseInt(process.env.LLM_BREAKER_THRESHOLD) || DEFAULT_THRESHOLD
+    const cooldownSeconds = parseInt(process.env.LLM_BREAKER_COOLDOWN_SECONDS) || DEFAULT_COOLDOWN_SECONDS
+    breaker.consecutiveFailures++
+    breaker.lastError = error.message
+    breaker.lastFailureAt = Date.now()
+    if (trial || breaker.consecutiveFailures >= threshold) {
+      if (!breaker.open) {
+        console.warn(`⚠️ ${provider.label} failed ${breaker.consecutiveFailures} times in a row (${error.message}); skipping it for ${cooldownSeconds}s`)
+      }
+      breaker.open = true
+      breaker.retryAt = Date.now() + cooldownSeconds * 1000
+    }
+    throw error
+  } finally {
+    if (trial) breaker.trialInFlight = false
+  }
+}
+
+/**
+ * Report a provider's health
+ * @param {LLMProvider} provider - Provider
+ * @returns {Object} { provider, label, configured, state, available, consecutiveFailures,
+ *   lastError, lastFailureAt, lastSuccessAt, retryAt } where state is 'closed' (in use),
+ *   'open' (skipped until retryAt) or 'half-open' (next request is a trial)
+ */
+export function getProviderHealth(provider) {
+  const breaker = getBreaker(provider)
+  const configured = provider.isConfigured()
+  const state = !breaker.open ? 'closed' : Date.now() < breaker.retryAt ? 'open' : 'half-open'
+
+  return {
+    provider: provider.name,
+    label: provider.label,
+    configured,
+    state,
+    available: configured && state !== 'open',
+    consecutiveFailures: breaker.consecutiveFailures,
+    lastError: breaker.lastError,
+    lastFailureAt: breaker.lastFailureAt,
+    lastSuccessAt: breaker.lastSuccessAt,
+    retryAt: breaker.open ? breaker.retryAt : null
+  }
+}
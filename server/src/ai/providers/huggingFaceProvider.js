@@ -0,0 +1,40 @@
+import { LLMProvider } from './llmProvider.js'
+
+const DEFAULT_MODEL = 'mistralai/Mistral-7B-Instruct-v0.3'
+
+/**
+ * Hugging Face Inference API (text-generation models)
+ * Env: HUGGINGFACE_API_KEY, HUGGINGFACE_MODEL
+ */
+export class HuggingFaceProvider extends LLMProvider {
+  constructor() {
+    super('huggingface', 'Hugging Face')
+  }
+
+  get apiKey() {
+    return process.env.HUGGINGFACE_API_KEY
+  }
+
+  get model() {
+    return process.env.HUGGINGFACE_MODEL || DEFAULT_MODEL
+  }
+
+  isConfigured() {
+    return !!this.apiKey && this.apiKey !== 'your_huggingface_api_key_here'
+  }
+
+  async complete({ system, prompt, temperature = 0.8, maxTokens = 400 }) {
+    const data = await this.postJson(`https://api-inference.huggingface.co/models/${this.model}`, {
+      'Authorization': `Bearer ${this.apiKey}`
+    }, {
+      inputs: system ? `${system}\n\n${prompt}` : prompt,
+      parameters: {
+        max_new_tokens: maxTokens,
+        temperature,
+        return_full_text: false
+      }
+    })
+
+    return data?.[0]?.generated_text || ''
+  }
+}
@@ -0,0 +1,51 @@
+import { HuggingFaceProvider } from './huggingFaceProvider.js'
+import { OpenAICompatibleProvider } from './openAICompatibleProvider.js'
+import { MockProvider } from './mockProvider.js'
+
+/**
+ * LLM Providers
+ * Registry of text-generation backends, selected with LLM_PROVIDER
+ */
+
+const providers = {
+  huggingface: HuggingFaceProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+}
+
+let activeProvider = null
+
+/**
+ * Create the provider selected by LLM_PROVIDER
+ * @param {string} type - 'huggingface' (default), 'openai' or 'mock'
+ * @returns {LLMProvider} Provider instance
+ */
+export function createLLMProvider(type = process.env.LLM_PROVIDER || 'huggingface') {
+  const Provider = providers[type]
+  if (!Provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${type}" (expected ${Object.keys(providers).join(', ')})`)
+  }
+  return new Provider()
+}
+
+/**
+ * Get the provider used for topic generation (created on first use)
+ * @returns {LLMProvider} Active provider
+ */
+export function getLLMProvider() {
+  if (!activeProvider) {
+    activeProvider = createLLMProvider()
+  }
+  return activeProvider
+}
+
+/**
+ * Replace the active provider (e.g. a MockProvider in tests)
+ * @param {LLMProvider} provider - Provider to use
+ */
+export function setLLMProvider(provider) {
+  activeProvider = provider
+}
+
+export { HuggingFaceProvider, OpenAICompatibleProvider, MockProvider }
+export { LLMProvider } from './llmProvider.js'
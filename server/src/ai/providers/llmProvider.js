@@ -0,0 +1,70 @@
+import fetch from 'node-fetch'
+
+const DEFAULT_TIMEOUT_MS = 10000
+
+/**
+ * LLM Provider
+ * Base class for the text-generation backends used by the topic generator.
+ * A provider turns a prompt into raw model text; parsing and validating that
+ * text is the caller's job.
+ */
+export class LLMProvider {
+  /**
+   * @param {string} name - Identifier used in LLM_PROVIDER
+   * @param {string} label - Human readable name for logs and the UI
+   */
+  constructor(name, label) {
+    this.name = name
+    this.label = label
+  }
+
+  /**
+   * Whether the provider has what it needs (keys, URLs) to make requests
+   * @returns {boolean} True if usable
+   */
+  isConfigured() {
+    return false
+  }
+
+  /**
+   * Generate text for a prompt
+   * @param {Object} request - { system, prompt, temperature, maxTokens }
+   * @returns {Promise<string>} Raw model output
+   */
+  async complete(request) {
+    throw new Error(`${this.label} provider does not implement complete()`)
+  }
+
+  /**
+   * POST JSON and read the JSON reply, giving up after LLM_TIMEOUT_MS (default 10s)
+   * @param {string} url - Request URL
+   * @param {Object} headers - Request headers (Content-Type is added)
+   * @param {Object} body - Request body
+   * @returns {Promise<*>} Parsed response body
+   */
+  async postJson(url, headers, body) {
+    const timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), timeoutMs)
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      })
+      if (!response.ok) {
+        throw new Error(`${this.label} API error: ${response.status}`)
+      }
+      return await response.json()
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`${this.label} request timed out after ${timeoutMs}ms`)
+      }
+      throw error
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+}
@@ -0,0 +1,38 @@
+import { LLMProvider } from './llmProvider.js'
+
+const MOCK_TOPIC = {
+  title: 'Designing a Fair Classroom',
+  description: 'What makes a learning environment fair for every student?',
+  category: 'Education',
+  questions: [
+    'What does fairness mean in a classroom?',
+    'Should everyone be treated the same, or according to their needs?',
+    'How can students help shape classroom rules?'
+  ],
+  tags: ['education', 'fairness']
+}
+
+/**
+ * Deterministic provider for tests and offline development. Replies with the
+ * given responses in order (the last one repeats), or a fixed topic.
+ */
+export class MockProvider extends LLMProvider {
+  /**
+   * @param {Array<string>} responses - Raw outputs to return (optional)
+   */
+  constructor(responses = [JSON.stringify(MOCK_TOPIC)]) {
+    super('mock', 'Mock')
+    this.responses = responses
+    this.calls = []
+  }
+
+  isConfigured() {
+    return true
+  }
+
+  async complete(request) {
+    this.calls.push(request)
+    const index = Math.min(this.calls.length - 1, this.responses.length - 1)
+    return this.responses[index]
+  }
+}
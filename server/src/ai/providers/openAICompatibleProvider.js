@@ -0,0 +1,45 @@
+import { LLMProvider } from './llmProvider.js'
+
+/**
+ * Any server that speaks the OpenAI chat completions API: OpenAI itself, or a
+ * local llama.cpp / Ollama server (e.g. LLM_BASE_URL=http://localhost:11434/v1).
+ * Env: LLM_BASE_URL, LLM_MODEL, LLM_API_KEY (optional for local servers)
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+  constructor() {
+    super('openai', 'OpenAI-compatible')
+  }
+
+  get baseUrl() {
+    return (process.env.LLM_BASE_URL || '').replace(/\/+$/, '')
+  }
+
+  get model() {
+    return process.env.LLM_MODEL
+  }
+
+  isConfigured() {
+    return !!this.baseUrl && !!this.model
+  }
+
+  async complete({ system, prompt, temperature = 0.8, maxTokens = 400 }) {
+    const headers = {}
+    if (process.env.LLM_API_KEY) {
+      headers['Authorization'] = `Bearer ${process.env.LLM_API_KEY}`
+    }
+
+    const messages = []
+    if (system) messages.push({ role: 'system', content: system })
+    messages.push({ role: 'user', content: prompt })
+
+    const data = await this.postJson(`${this.baseUrl}/chat/completions`, headers, {
+      model: this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      response_format: { type: 'json_object' }
+    })
+
+    return data?.choices?.[0]?.message?.content || ''
+  }
+}
@@ -0,0 +1,156 @@
+import { getLLMProvider } from './providers/index.js'
+import { completeWithRetries, parseJsonObject } from './llmOutput.js'
+
+/**
+ * Session Summary
+ * Wrap-up written when a discussion ends: the topic, the prompts covered,
+ * who spoke how much, and a short synopsis of the text contributions. The
+ * synopsis comes from the topic LLM provider when it is configured and from a
+ * template otherwise.
+ */
+
+// Most recent contributions passed to the model, and how much of each
+const MAX_PROMPT_CONTRIBUTIONS = 50
+const MAX_CONTRIBUTION_CHARS = 300
+const MAX_SYNOPSIS_LENGTH = 1500
+
+const SUMMARY_SYSTEM_PROMPT = `You write short wrap-ups of educational roundtable discussions.
+Given the topic, the prompts discussed and what participants wrote, summarize the main
+points and any disagreements in 3-5 sentences. Participants are anonymous; refer to them
+by the names given. Reply with a single JSON object and nothing else:
+{"synopsis": string}`
+
+/**
+ * Build the parts of the summary that come straight from the session data
+ * @param {Object} details - { topic, roundsCompleted, durationSeconds, participants, contributions }
+ *   where participants are records from toParticipantRecords
+ * @returns {Object} Summary without a synopsis
+ */
+export function buildSessionSummary({ topic, roundsCompleted, durationSeconds, participants = [], contributions = [] }) {
+  const totalSpeakingSeconds = participants.reduce((sum, p) => sum + (p.speakingTimeSeconds || 0), 0)
+  const activeIndex = topic?.activePrompt ? topic.activePrompt.index : -1
+
+  return {
+    topic: {
+      title: topic?.title || null,
+      category: topic?.category || null,
+      locale: topic?.locale || topic?.language || 'en'
+    },
+    promptsCovered: (topic?.questions || []).slice(0, activeIndex + 1),
+    participation: {
+      participantCount: participants.length,
+      roundsCompleted,
+      durationSeconds,
+      totalSpeakingSeconds,
+      speakers: participants
+        .map(p => ({
+          userId: p.userId,
+          anonymousName: p.anonymousName,
+          speakingSeconds: p.speakingTimeSeconds || 0,
+          turns: p.turnsTaken || 0,
+          share: totalSpeakingSeconds > 0 ? Math.round((p.speakingTimeSeconds || 0) / totalSpeakingSeconds * 100) / 100 : 0
+        }))
+        .sort((a, b) => b.speakingSeconds - a.speakingSeconds)
+    },
+    contributionCount: contributions.length
+  }
+}
+
+/**
+ * Write a synopsis from the summary data alone
+ * @param {Object} summary - From buildSessionSummary
+ * @param {Array} contributions - Text contributions
+ * @returns {string} Synopsis
+ */
+function templateSynopsis(summary, contributions) {
+  const { topic, promptsCovered, participation } = summary
+  const seconds = participation.durationSeconds || 0
+  const duration = seconds < 60 ? 'under a minute' : `about ${Math.round(seconds / 60)} min`
+  const people = participation.participantCount === 1 ? '1 participant' : `${participation.participantCount} participants`
+  const { roundsCompleted } = participation
+  const rounds = roundsCompleted > 0 ? ` over ${roundsCompleted} round${roundsCompleted === 1 ? '' : 's'}` : ''
+  const sentences = [`${people} discussed "${topic.title}" for ${duration}${rounds}.`]
+
+  if (promptsCovered.length > 0) {
+    sentences.push(`Prompts covered: ${promptsCovered.join(' / ')}`)
+  }
+
+  const [top] = participation.speakers
+  if (top && top.speakingSeconds > 0) {
+    sentences.push(`${top.anonymousName} spoke the most (${Math.round(top.share * 100)}% of speaking time).`)
+  }
+
+  if (contributions.length > 0) {
+    const writers = new Set(contributions.map(c => c.userId)).size
+    sentences.push(`${contributions.length} written contribution${contributions.length === 1 ? ' was' : 's were'} shared by ${writers} participant${writers === 1 ? '' : 's'}.`)
+  }
+
+  return sentences.join(' ')
+}
+
+/**
+ * Parse model output into a synopsis
+ * @param {string} text - Raw model output, expected to contain {"synopsis": string}
+ * @returns {string} Synopsis
+ */
+function parseSynopsisResponse(text) {
+  const { synopsis } = parseJsonObject(text)
+  if (typeof synopsis !== 'string' || !synopsis.trim()) {
+    throw new Error('synopsis is required')
+  }
+  if (synopsis.trim().length > MAX_SYNOPSIS_LENGTH) {
+    throw new Error(`synopsis must be at most ${MAX_SYNOPSIS_LENGTH} characters`)
+  }
+  return synopsis.trim()
+}
+
+/**
+ * Ask the LLM provider for a synopsis
+ * @param {Object} summary - From buildSessionSummary
+ * @param {Array} contributions - Text contributions
+ * @returns {Promise<string|null>} Synopsis, or null if no provider is configured or it failed
+ */
+async function generateSynopsisWithAI(summary, contributions) {
+  const provider = getLLMProvider()
+  if (!provider.isConfigured()) return null
+
+  const { topic, promptsCovered, participation } = summary
+  const speakers = participation.speakers
+    .map(s => `- ${s.anonymousName}: ${s.speakingSeconds}s speaking, ${s.turns} turns`)
+    .join('\n')
+  const written = contributions
+    .slice(-MAX_PROMPT_CONTRIBUTIONS)
+    .map(c => `- ${c.anonymousName}: ${c.text.slice(0, MAX_CONTRIBUTION_CHARS)}`)
+    .join('\n')
+
+  return completeWithRetries(provider, {
+    system: SUMMARY_SYSTEM_PROMPT,
+    prompt: [
+      `Topic: ${topic.title} (${topic.category})`,
+      `Prompts discussed:\n${promptsCovered.map(q => `- ${q}`).join('\n') || '(none)'}`,
+      `Participants:\n${speakers || '(none)'}`,
+      `Written contributions:\n${written || '(none)'}`,
+      `Write the synopsis in the language with code "${summary.topic.locale}".`
+    ].join('\n'),
+    parse: parseSynopsisResponse,
+    what: 'session summary'
+  })
+}
+
+/**
+ * Generate the end-of-discussion summary
+ * @param {Object} details - { topic, roundsCompleted, durationSeconds, participants, contributions }
+ * @returns {Promise<Object>} Summary with `synopsis` and `synopsisSource` ('ai' or 'template')
+ */
+export async function generateSessionSummary(details) {
+  const contributions = details.contributions || []
+  const summary = buildSessionSummary(details)
+
+  const synopsis = await generateSynopsisWithAI(summary, contributions)
+  return {
+    ...summary,
+    synopsis: synopsis || templateSynopsis(summary, contributions),
+    synopsisSource: synopsis ? 'ai' : 'template',
+    generatedAt: Date.now()
+  }
+}
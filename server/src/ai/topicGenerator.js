@@ -1,102 +1,247 @@
-import fetch from 'node-fetch'
+import {
+  getRandomTopic,
+  getTopics,
+  getRecentTopicHistory,
+  getCategoryUsage,
+  seedTopics
+} from '../database/database.js'
+import { getLLMProvider } from './providers/index.js'
+import { completeWithRetries, parseJsonObject } from './llmOutput.js'
+import { validateTopic } from './topicSchema.js'
+import { buildRotationHistory, chooseTopics } from './topicRotation.js'
+import { preferLocale } from './topicLocale.js'
+import { getProviderHealth } from './providerHealth.js'
+import { TopicPool } from './topicPool.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
 
 /**
  * AI Topic Generator
- * Generates discussion topics using Hugging Face's free API
+ * Generates discussion topics with an LLM provider, falling back to the topic library
  */
 
-// Predefined topics as fallback
+// Seed data for the topic library, and the last resort when the database has no usable topic.
+// Topics without an audience suit any. Questions in translations line up with the English ones.
 const fallbackTopics = [
   {
     title: "The Future of Education",
     description: "How will technology reshape learning in the next decade?",
     category: "Education",
+    audience: "undergrad",
+    difficulty: "beginner",
     questions: [
       "What role should AI play in personalized learning?",
       "How can we maintain human connection in digital education?",
       "What skills will be most important for future students?"
-    ]
+    ],
+    translations: {
+      hi: {
+        title: "शिक्षा का भविष्य",
+        description: "अगले दशक में तकनीक सीखने के तरीके को कैसे बदलेगी?",
+        questions: [
+          "व्यक्तिगत शिक्षा में AI की क्या भूमिका होनी चाहिए?",
+          "डिजिटल शिक्षा में हम मानवीय जुड़ाव कैसे बनाए रखें?",
+          "भविष्य के छात्रों के लिए कौन-से कौशल सबसे ज़रूरी होंगे?"
+        ]
+      }
+    }
   },
   {
     title: "Sustainable Living in Urban Areas",
     description: "Exploring practical ways to live more sustainably in cities.",
     category: "Environment",
+    difficulty: "beginner",
     questions: [
       "What small changes can make the biggest environmental impact?",
       "How can cities be redesigned for sustainability?",
       "What role does individual responsibility play in climate change?"
-    ]
+    ],
+    translations: {
+      hi: {
+        title: "शहरों में टिकाऊ जीवनशैली",
+        description: "शहरों में अधिक टिकाऊ ढंग से जीने के व्यावहारिक तरीकों की खोज।",
+        questions: [
+          "कौन-से छोटे बदलाव पर्यावरण पर सबसे बड़ा असर डाल सकते हैं?",
+          "टिकाऊपन के लिए शहरों को दोबारा कैसे डिज़ाइन किया जा सकता है?",
+          "जलवायु परिवर्तन में व्यक्तिगत ज़िम्मेदारी की क्या भूमिका है?"
+        ]
+      }
+    }
   },
   {
     title: "The Impact of Social Media on Society",
     description: "Examining both positive and negative effects of social media platforms.",
     category: "Technology",
+    audience: "school",
+    difficulty: "beginner",
     questions: [
       "How has social media changed human relationships?",
       "What are the benefits and drawbacks of constant connectivity?",
       "How can we use social media more mindfully?"
-    ]
+    ],
+    translations: {
+      hi: {
+        title: "समाज पर सोशल मीडिया का प्रभाव",
+        description: "सोशल मीडिया प्लेटफ़ॉर्म के सकारात्मक और नकारात्मक प्रभावों की पड़ताल।",
+        questions: [
+          "सोशल मीडिया ने मानवीय रिश्तों को कैसे बदला है?",
+          "हर समय जुड़े रहने के क्या फ़ायदे और नुकसान हैं?",
+          "हम सोशल मीडिया का अधिक सोच-समझकर उपयोग कैसे कर सकते हैं?"
+        ]
+      }
+    }
   },
   {
     title: "Mental Health and Well-being",
     description: "Discussing strategies for maintaining good mental health in modern life.",
     category: "Health",
+    difficulty: "intermediate",
     questions: [
       "What practices contribute most to mental well-being?",
       "How can we reduce stigma around mental health discussions?",
       "What role does community play in supporting mental health?"
-    ]
+    ],
+    translations: {
+      hi: {
+        title: "मानसिक स्वास्थ्य और खुशहाली",
+        description: "आधुनिक जीवन में अच्छा मानसिक स्वास्थ्य बनाए रखने की रणनीतियों पर चर्चा।",
+        questions: [
+          "कौन-सी आदतें मानसिक खुशहाली में सबसे अधिक योगदान देती हैं?",
+          "मानसिक स्वास्थ्य पर बातचीत से जुड़ी झिझक को कैसे कम करें?",
+          "मानसिक स्वास्थ्य को सहारा देने में समुदाय की क्या भूमिका है?"
+        ]
+      }
+    }
   },
   {
     title: "The Future of Work",
     description: "How is the nature of work changing with technology and remote work trends?",
     category: "Career",
+    audience: "professional",
+    difficulty: "intermediate",
     questions: [
       "What skills will be most valuable in the future job market?",
       "How can we balance work-life integration?",
       "What impact will AI have on different professions?"
-    ]
+    ],
+    translations: {
+      hi: {
+        title: "काम का भविष्य",
+        description: "तकनीक और रिमोट वर्क के चलन से काम का स्वरूप कैसे बदल रहा है?",
+        questions: [
+          "भविष्य के रोज़गार बाज़ार में कौन-से कौशल सबसे मूल्यवान होंगे?",
+          "काम और निजी जीवन के बीच संतुलन कैसे बनाएँ?",
+          "अलग-अलग पेशों पर AI का क्या असर होगा?"
+        ]
+      }
+    }
   },
   {
     title: "Cultural Diversity and Understanding",
     description: "The importance of cultural exchange and global perspectives.",
     category: "Culture",
+    difficulty: "intermediate",
     questions: [
       "How can we celebrate differences while finding common ground?",
       "What role does travel play in cultural understanding?",
       "How can we combat cultural stereotypes and biases?"
-    ]
+    ],
+    translations: {
+      hi: {
+        title: "सांस्कृतिक विविधता और आपसी समझ",
+        description: "सांस्कृतिक आदान-प्रदान और वैश्विक दृष्टिकोण का महत्व।",
+        questions: [
+          "हम अंतरों का सम्मान करते हुए साझा आधार कैसे खोजें?",
+          "सांस्कृतिक समझ बढ़ाने में यात्रा की क्या भूमिका है?",
+          "सांस्कृतिक रूढ़ियों और पूर्वाग्रहों से कैसे निपटें?"
+        ]
+      }
+    }
   },
   {
     title: "Entrepreneurship and Innovation",
     description: "What drives innovation and successful business creation?",
     category: "Business",
+    audience: "professional",
+    difficulty: "advanced",
     questions: [
       "What qualities make a successful entrepreneur?",
       "How can failure contribute to eventual success?",
       "What role does risk-taking play in innovation?"
-    ]
+    ],
+    translations: {
+      hi: {
+        title: "उद्यमिता और नवाचार",
+        description: "नवाचार और सफल व्यवसाय की शुरुआत के पीछे क्या प्रेरणा होती है?",
+        questions: [
+          "एक सफल उद्यमी में कौन-से गुण होते हैं?",
+          "असफलता आगे चलकर सफलता में कैसे मदद कर सकती है?",
+          "नवाचार में जोखिम उठाने की क्या भूमिका है?"
+        ]
+      }
+    }
   },
   {
     title: "Personal Growth and Self-Development",
     description: "Strategies for continuous learning and personal improvement.",
     category: "Personal Development",
+    audience: "undergrad",
+    difficulty: "beginner",
     questions: [
       "What habits contribute most to personal growth?",
       "How can we overcome limiting beliefs?",
       "What role does feedback play in self-improvement?"
-    ]
+    ],
+    translations: {
+      hi: {
+        title: "व्यक्तिगत विकास और आत्म-सुधार",
+        description: "लगातार सीखने और खुद को बेहतर बनाने की रणनीतियाँ।",
+        questions: [
+          "कौन-सी आदतें व्यक्तिगत विकास में सबसे अधिक योगदान देती हैं?",
+          "हम अपनी सीमित करने वाली धारणाओं से कैसे उबरें?",
+          "आत्म-सुधार में प्रतिक्रिया (फ़ीडबैक) की क्या भूमिका है?"
+        ]
+      }
+    }
   }
 ]
 
+// Instructions sent with every topic request
+const TOPIC_SYSTEM_PROMPT = `You write discussion topics for educational roundtables.
+Reply with a single JSON object and nothing else, in this shape:
+{"title": string (max 80 characters), "description": string (max 200 characters),
+"category": string (e.g. Education, Technology, Health, Environment),
+"questions": [3 thought-provoking questions], "tags": [up to 5 short lowercase tags]}`
+
+// Instructions for follow-up prompts once a topic's questions have all been used
+const FOLLOW_UP_SYSTEM_PROMPT = `You moderate an educational roundtable that has discussed every prepared
+question on its topic. Write one new question that takes the discussion further without
+repeating earlier ones. Reply with a single JSON object and nothing else:
+{"question": string (max 200 characters)}`
+
+const MAX_FOLLOW_UP_LENGTH = 300
+
 /**
  * Generate a discussion topic using AI or fallback topics
- * @returns {Promise<Object>} Topic object
+ * @param {Object} context - Room the topic is for: { roomId, userIds, windowDays, filters, locale }
+ *   where filters are the room's topic filters (see validateTopicFilters) and
+ *   locale is the room's language. Library topics available in that locale are
+ *   preferred, then English ones; localizeTopic presents the result in it.
+ * @returns {Promise<Object>} Topic object, with `selection` saying why it was chosen
  */
-export async function generateDiscussionTopic() {
+export async function generateDiscussionTopic(context = {}) {
+  // With the pool on, a start never waits for the provider: a pooled topic or the library
+  if (aiTopicPool.enabled) {
+    const pooled = aiTopicPool.take(context.filters, context.locale)
+    if (pooled) {
+      return pooled
+    }
+    return getRandomFallbackTopic(context)
+  }
+
   try {
-    // Try to generate topic using Hugging Face API
-    const aiTopic = await generateTopicWithAI()
+    // Try to generate topic using the configured LLM provider
+    const aiTopic = await generateTopicWithAI(context.filters, context.locale)
     if (aiTopic) {
       return aiTopic
     }
@@ -105,125 +250,216 @@ export async function generateDiscussionTopic() {
   }
   
   // Fallback to predefined topics
-  return getRandomFallbackTopic()
+  return getRandomFallbackTopic(context)
 }
 
 /**
- * Generate topic using Hugging Face API
+ * Generate topic using the configured LLM provider (LLM_PROVIDER)
+ * @param {Object} filters - Topic filters the result should meet (optional)
+ * @param {string} locale - Room locale; the topic is written in it unless filters.language says otherwise
  * @returns {Promise<Object|null>} AI-generated topic or null
  */
-async function generateTopicWithAI() {
-  const apiKey = process.env.HUGGINGFACE_API_KEY
-  
-  if (!apiKey || apiKey === 'your_huggingface_api_key_here') {
-    console.log('ℹ️ No Hugging Face API key provided, using fallback topics')
+async function generateTopicWithAI(filters = {}, locale = null) {
+  const provider = getLLMProvider()
+
+  if (!provider.isConfigured()) {
+    console.log(`ℹ️ ${provider.label} provider is not configured, using fallback topics`)
     return null
   }
 
-  try {
-    // Use Hugging Face's free text generation model
-    const prompt = `Generate an engaging discussion topic for an educational roundtable. Include:
-1. A compelling title (max 50 characters)
-2. A brief description (max 200 characters)
-3. A category (Education, Technology, Health, Environment, etc.)
-4. 3 thought-provoking questions
-
-Topic:`
-
-    const response = await fetch('https://api-inference.huggingface.co/models/microsoft/DialoGPT-medium', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        inputs: prompt,
-        parameters: {
-          max_length: 300,
-          temperature: 0.8,
-          num_return_sequences: 1
-        }
-      })
-    })
-
-    if (!response.ok) {
-      throw new Error(`Hugging Face API error: ${response.status}`)
-    }
+  const { category, audience, difficulty } = filters
+  const language = filters.language || locale
+  const constraints = [
+    category && `in the ${category} category`,
+    audience && `for a ${audience} audience`,
+    difficulty && `at ${difficulty} difficulty`,
+    language && `written in the language with code "${language}"`
+  ].filter(Boolean)
 
-    const data = await response.json()
-    
-    if (data && data[0] && data[0].generated_text) {
-      // Parse the AI-generated content
-      return parseAIResponse(data[0].generated_text)
-    }
-    
-    return null
-  } catch (error) {
-    console.error('Error generating topic with AI:', error)
-    return null
+  const topic = await completeWithRetries(provider, {
+    system: TOPIC_SYSTEM_PROMPT,
+    prompt: `Generate an engaging discussion topic${constraints.length ? ` ${constraints.join(', ')}` : ''}.`,
+    parse: parseTopicResponse,
+    what: 'topic'
+  })
+  return topic && {
+    ...topic,
+    // The model is asked to meet the filters, so label the topic with them
+    category: category || topic.category,
+    audience: audience || null,
+    difficulty: difficulty || null,
+    language: language || topic.language,
+    selection: { method: 'ai', reason: `Generated by the ${provider.label} model` }
+  }
+}
+
+// Pre-generated AI topics (see topicPool.js); AI_TOPIC_POOL_SIZE=0 turns the pool off
+const poolSize = parseInt(process.env.AI_TOPIC_POOL_SIZE)
+const aiTopicPool = new TopicPool(generateTopicWithAI, {
+  size: Number.isNaN(poolSize) ? 3 : Math.max(0, poolSize),
+  maxAgeMs: (parseInt(process.env.AI_TOPIC_POOL_MAX_AGE_MINUTES) || 60) * 60 * 1000,
+  canGenerate: () => getProviderHealth(getLLMProvider()).available
+})
+
+/**
+ * Start pre-generating AI topics in the background (when a provider is configured)
+ * @param {string} locale - Default room locale
+ */
+export function startTopicPool(locale) {
+  if (getLLMProvider().isConfigured()) {
+    aiTopicPool.start(locale)
   }
 }
 
 /**
- * Parse AI response and structure it as a topic
- * @param {string} aiText - Raw AI-generated text
- * @returns {Object} Structured topic object
+ * Stop the background topic pool refresh
+ */
+export function stopTopicPool() {
+  aiTopicPool.stop()
+}
+
+/**
+ * Report the AI topic pool
+ * @returns {Object} { enabled, size, available, combinations }
  */
-function parseAIResponse(aiText) {
+export function getTopicPoolStatus() {
+  return aiTopicPool.getStatus()
+}
+
+/**
+ * Generate a follow-up prompt for a discussion that has used up its questions
+ * @param {Object} topic - Topic under discussion
+ * @param {Array<string>} previousPrompts - Prompts already used, to avoid repeating them
+ * @returns {Promise<string|null>} New prompt, or null if no provider is configured or it failed
+ */
+export async function generateFollowUpPrompt(topic, previousPrompts = []) {
+  const provider = getLLMProvider()
+  if (!provider.isConfigured()) return null
+
+  const asked = previousPrompts.map(question => `- ${question}`).join('\n')
+  const language = topic.locale || topic.language
+  return completeWithRetries(provider, {
+    system: FOLLOW_UP_SYSTEM_PROMPT,
+    prompt: `Topic: ${topic.title}\n${topic.description || ''}\nPrompts already discussed:\n${asked || '(none)'}\n` +
+      `Write the next prompt${language ? ` in the language with code "${language}"` : ''}.`,
+    parse: parseFollowUpResponse,
+    what: 'follow-up prompt'
+  })
+}
+
+/**
+ * Parse model output into a validated topic
+ * @param {string} text - Raw model output, expected to contain a JSON object
+ * @returns {Object} Topic object
+ */
+function parseTopicResponse(text) {
+  const data = parseJsonObject(text)
+  const { title, description, category, questions, tags, language } = validateTopic(data)
+  if (questions.length === 0) {
+    throw new Error('questions is required')
+  }
+
+  return { title, description, category, questions, tags, language, source: 'AI Generated' }
+}
+
+/**
+ * Parse model output into a follow-up prompt
+ * @param {string} text - Raw model output, expected to contain {"question": string}
+ * @returns {string} Prompt text
+ */
+function parseFollowUpResponse(text) {
+  const { question } = parseJsonObject(text)
+  if (typeof question !== 'string' || !question.trim()) {
+    throw new Error('question is required')
+  }
+  if (question.trim().length > MAX_FOLLOW_UP_LENGTH) {
+    throw new Error(`question must be at most ${MAX_FOLLOW_UP_LENGTH} characters`)
+  }
+  return question.trim()
+}
+
+/**
+ * Seed the topic library with the built-in topics (first run only)
+ */
+export async function seedTopicLibrary() {
+  const seeded = await seedTopics(fallbackTopics)
+  if (seeded > 0) {
+    console.log(`📝 Seeded topic library with ${seeded} topics`)
+  }
+}
+
+/**
+ * Choose library topics for a room, avoiding recent repeats (see topicRotation.js)
+ * Only topics matching the room's filters are used, unless none do. Falls back
+ * to the built-in list if the library is empty or unreadable.
+ * @param {number} count - Number of topics wanted
+ * @param {Object} context - { roomId, userIds, windowDays, filters, locale }
+ * @returns {Promise<Array>} Up to `count` topics, each with a `selection`
+ */
+async function chooseLibraryTopics(count, { roomId = null, userIds = [], windowDays = 0, filters = {}, locale } = {}) {
+  let library = []
+  let history = buildRotationHistory()
   try {
-    // This is a simplified parser - in production, you'd want more robust parsing
-    const lines = aiText.split('\n').filter(line => line.trim())
-    
-    // Extract title (first meaningful line)
-    const title = lines[0]?.replace(/^\d+\.\s*/, '').trim() || "AI-Generated Discussion Topic"
-    
-    // Create a structured topic
-    return {
-      title: title.length > 50 ? title.substring(0, 47) + "..." : title,
-      description: `An AI-generated topic focusing on ${title.toLowerCase()}.`,
-      category: "AI Generated",
-      questions: [
-        "What are your initial thoughts on this topic?",
-        "How does this relate to your personal experience?",
-        "What aspects would you like to explore further?"
-      ],
-      source: "AI Generated"
+    library = await getTopics(filters)
+    if (library.length === 0 && Object.values(filters).some(Boolean)) {
+      console.warn('No library topic matches the room\'s topic filters, ignoring them:', filters)
+      library = await getTopics()
     }
+    const recentRows = windowDays > 0
+      ? await getRecentTopicHistory({ roomId, userIds, since: Date.now() - windowDays * DAY_MS })
+      : []
+    history = buildRotationHistory(recentRows, await getCategoryUsage())
   } catch (error) {
-    console.error('Error parsing AI response:', error)
-    return getRandomFallbackTopic()
+    console.warn('Topic library unavailable, using built-in topics:', error.message)
+  }
+
+  if (library.length > 0) {
+    return chooseTopics(preferLocale(library, locale), history, { count, windowDays })
   }
+  return chooseTopics(preferLocale(fallbackTopics, locale), history, { count, windowDays }).map(topic => ({
+    ...topic,
+    selection: { ...topic.selection, method: 'fallback' }
+  }))
 }
 
 /**
- * Get a random fallback topic
- * @returns {Object} Random topic from predefined list
+ * Get a library topic for a room
+ * Rotates through the library rather than picking blindly: topics the room or
+ * its participants saw within the repeat window are skipped, and under-used
+ * categories are preferred.
+ * @param {Object} context - { roomId, userIds, windowDays, filters, locale }
+ * @returns {Promise<Object>} Topic with `selection`
  */
-function getRandomFallbackTopic() {
-  const randomIndex = Math.floor(Math.random() * fallbackTopics.length)
-  const topic = { ...fallbackTopics[randomIndex] }
-  
-  console.log(`📝 Selected fallback topic: ${topic.title}`)
+export async function getRandomFallbackTopic(context = {}) {
+  const [topic] = await chooseLibraryTopics(1, context)
+  console.log(`📝 Selected fallback topic: ${topic.title} (${topic.selection.reason})`)
   return topic
 }
 
 /**
- * Get all available fallback topics (for API endpoint)
- * @returns {Array} Array of all fallback topics
+ * Get topics to put on a lobby ballot: a pooled AI topic when one is ready and
+ * the rest from the library rotation. The ballot never waits for the provider;
+ * taking from the pool tops it up in the background.
+ * @param {number} count - Number of topics wanted
+ * @param {Object} context - { roomId, userIds, windowDays, filters, locale }
+ * @returns {Promise<Array>} Up to `count` topics
  */
-export function getAllFallbackTopics() {
-  return fallbackTopics.map(topic => ({ ...topic }))
+export async function getCandidateTopics(count = 3, context = {}) {
+  const topics = []
+
+  const aiTopic = aiTopicPool.take(context.filters, context.locale)
+  if (aiTopic) topics.push(aiTopic)
+
+  topics.push(...await chooseLibraryTopics(count - topics.length, context))
+  return topics
 }
 
 /**
- * Get topic by category
- * @param {string} category - Topic category
- * @returns {Object|null} Topic matching category or null
+ * Get a random library topic in a category
+ * @param {string} category - Topic category (case-insensitive)
+ * @param {Object} filters - Further { audience, difficulty, language } filters (optional)
+ * @returns {Promise<Object|null>} Random matching topic or null
  */
-export function getTopicByCategory(category) {
-  const topic = fallbackTopics.find(t => 
-    t.category.toLowerCase() === category.toLowerCase()
-  )
-  
-  return topic ? { ...topic } : null
+export async function getTopicByCategory(category, filters = {}) {
+  return getRandomTopic({ ...filters, category })
 }
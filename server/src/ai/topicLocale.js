@@ -0,0 +1,74 @@
+import { DEFAULT_TOPIC_LANGUAGE } from './topicSchema.js'
+
+/**
+ * Topic Locales
+ * A topic is written in its own `language` and may carry `translations` of its
+ * title, description and questions. Rooms discuss in a locale; these helpers
+ * decide which topics a room can use and present a topic in the room's locale.
+ */
+
+/**
+ * Locales a topic is available in
+ * @param {Object} topic - Topic
+ * @returns {Array<string>} Its own language followed by its translations
+ */
+export function getTopicLocales(topic) {
+  return [topic.language || DEFAULT_TOPIC_LANGUAGE, ...Object.keys(topic.translations || {})]
+}
+
+/**
+ * Whether a topic can be shown in a locale
+ * @param {Object} topic - Topic
+ * @param {string} locale - Locale code
+ * @returns {boolean} True if it is written in or translated to that locale
+ */
+export function hasLocale(topic, locale) {
+  return getTopicLocales(topic).includes(locale)
+}
+
+/**
+ * Narrow topics to those available in a locale, falling back to English ones
+ * (and then to all of them) when none are
+ * @param {Array} topics - Candidate topics
+ * @param {string} locale - Room locale
+ * @returns {Array} Topics to choose from
+ */
+export function preferLocale(topics, locale = DEFAULT_TOPIC_LANGUAGE) {
+  for (const code of [locale, DEFAULT_TOPIC_LANGUAGE]) {
+    const available = topics.filter(topic => hasLocale(topic, code))
+    if (available.length > 0) return available
+  }
+  return topics
+}
+
+/**
+ * Present a topic in a locale
+ * The translated title, description and questions replace the originals
+ * (untranslated questions keep the original text so rounds still line up),
+ * and the original is kept under `translations` so clients can switch back.
+ * Without a translation the topic is returned in its own language.
+ * @param {Object} topic - Topic
+ * @param {string} locale - Wanted locale
+ * @returns {Object} Topic with `locale` set to the language it is shown in
+ */
+export function localizeTopic(topic, locale) {
+  const language = topic.language || DEFAULT_TOPIC_LANGUAGE
+  const translations = topic.translations || {}
+  const translation = translations[locale]
+  if (!translation || locale === language) {
+    return { ...topic, translations, locale: language }
+  }
+
+  const questions = topic.questions || []
+  return {
+    ...topic,
+    title: translation.title,
+    description: translation.description || topic.description,
+    questions: questions.map((question, index) => translation.questions?.[index] || question),
+    locale,
+    translations: {
+      ...translations,
+      [language]: { title: topic.title, description: topic.description, questions }
+    }
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Topic Pool
+ * AI topics generated ahead of time in the background, so starting a discussion
+ * does not wait on the LLM provider. Topics are pooled per combination of topic
+ * filters and language that rooms have asked for recently, a few of each, and
+ * replaced once they are older than the maximum age.
+ */
+
+// Filter/language combinations kept warm; the least recently used is dropped
+const MAX_POOL_KEYS = 8
+
+export class TopicPool {
+  /**
+   * @param {Function} generate - async (filters, locale) => topic or null
+   * @param {Object} options - { size, maxAgeMs, refreshMs, canGenerate } where
+   *   size is topics kept per combination (0 disables the pool) and
+   *   canGenerate() says whether the provider is worth asking right now
+   */
+  constructor(generate, { size = 3, maxAgeMs = 60 * 60 * 1000, refreshMs = 5 * 60 * 1000, canGenerate = () => true } = {}) {
+    this.generate = generate
+    this.size = size
+    this.maxAgeMs = maxAgeMs
+    this.refreshMs = refreshMs
+    this.canGenerate = canGenerate
+    this.entries = new Map()
+    this.timer = null
+    this.refilling = false
+    this.refillAgain = false
+  }
+
+  get enabled() {
+    return this.size > 0
+  }
+
+  /**
+   * Pool entry for filters and a locale, created (and marked used) on demand
+   * @param {Object} filters - Topic filters
+   * @param {string} locale - Room locale
+   * @returns {Object} { filters, locale, topics, lastUsedAt }
+   */
+  entryFor(filters = {}, locale = null) {
+    const { category = null, audience = null, difficulty = null, language = null } = filters
+    const key = JSON.stringify([category, audience, difficulty, language || locale || null])
+
+    let entry = this.entries.get(key)
+    if (entry) {
+      this.entries.delete(key)
+    } else {
+      entry = { filters: { category, audience, difficulty, language }, locale, topics: [] }
+    }
+    entry.lastUsedAt = Date.now()
+    // Re-inserting keeps the map ordered from least to most recently used
+    this.entries.set(key, entry)
+    if (this.entries.size > MAX_POOL_KEYS) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+    return entry
+  }
+
+  /**
+   * Take a pre-generated topic, and top the pool up in the background
+   * @param {Object} filters - Room topic filters
+   * @param {string} locale - Room locale
+   * @returns {Object|null} Topic, or null if none is ready
+   */
+  take(filters, locale) {
+    if (!this.enabled) return null
+
+    const entry = this.entryFor(filters, locale)
+    this.dropExpired(entry)
+    const pooled = entry.topics.shift()
+    this.refill()
+    return pooled ? pooled.topic : null
+  }
+
+  /**
+   * Remove topics older than the maximum age
+   * @param {Object} entry - Pool entry
+   */
+  dropExpired(entry) {
+    const cutoff = Date.now() - this.maxAgeMs
+    entry.topics = entry.topics.filter(pooled => pooled.createdAt >= cutoff)
+  }
+
+  /**
+   * Generate topics until every entry is full
+   * Runs one generation at a time; a call made while it runs schedules another pass.
+   * Stops early while the provider is unavailable or returns nothing.
+   */
+  async refill() {
+    if (!this.enabled) return
+    if (this.refilling) {
+      this.refillAgain = true
+      return
+    }
+
+    this.refilling = true
+    try {
+      do {
+        this.refillAgain = false
+        for (const entry of this.entries.values()) {
+          this.dropExpired(entry)
+          while (entry.topics.length < this.size) {
+            if (!this.canGenerate()) return
+            const topic = await this.generate(entry.filters, entry.locale)
+            if (!topic) return
+            entry.topics.push({ topic, createdAt: Date.now() })
+          }
+        }
+      } while (this.refillAgain)
+    } catch (error) {
+      console.error('Error refilling the AI topic pool:', error.message)
+    } finally {
+      this.refilling = false
+    }
+  }
+
+  /**
+   * Start keeping the pool full
+   * @param {string} locale - Locale to pre-generate for before any room asks
+   */
+  start(locale) {
+    if (!this.enabled || this.timer) return
+
+    this.entryFor({}, locale)
+    this.refill()
+    this.timer = setInterval(() => this.refill(), this.refreshMs)
+    // The refresh should not keep the process alive on shutdown
+    this.timer.unref()
+  }
+
+  /**
+   * Stop the background refresh
+   */
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  /**
+   * Pool status for the config endpoint
+   * @returns {Object} { enabled, size, available, combinations }
+   */
+  getStatus() {
+    let available = 0
+    for (const entry of this.entries.values()) {
+      this.dropExpired(entry)
+      available += entry.topics.length
+    }
+    return {
+      enabled: this.enabled,
+      size: this.size,
+      available,
+      combinations: this.entries.size
+    }
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Topic Rotation
+ * Chooses library topics so that groups meeting often do not keep getting the
+ * same ones. Topics the room, or anyone in it, discussed within the repeat
+ * window are skipped, and the choice is weighted toward categories that have
+ * been used least. Every chosen topic carries a `selection` explaining why.
+ */
+
+/**
+ * Build lookup tables from the history queries
+ * @param {Array} recentRows - Rows from getRecentTopicHistory
+ * @param {Array} usageRows - Rows from getCategoryUsage
+ * @returns {Object} { recent, categoryUsage } maps keyed by lower-cased title / category
+ */
+export function buildRotationHistory(recentRows = [], usageRows = []) {
+  return {
+    recent: new Map(recentRows.map(row => [row.title.toLowerCase(), {
+      seenByRoom: row.seen_by_room === 1,
+      lastUsedAt: row.started_at
+    }])),
+    categoryUsage: new Map(usageRows.map(row => [row.category.toLowerCase(), row.uses || 0]))
+  }
+}
+
+/**
+ * Pick one entry using weights
+ * @param {Array} items - Items to pick from
+ * @param {Function} weightOf - item => positive weight
+ * @returns {*} Chosen item
+ */
+function weightedPick(items, weightOf) {
+  const weights = items.map(weightOf)
+  let target = Math.random() * weights.reduce((sum, weight) => sum + weight, 0)
+  for (let i = 0; i < items.length; i++) {
+    target -= weights[i]
+    if (target <= 0) return items[i]
+  }
+  return items[items.length - 1]
+}
+
+/**
+ * Choose topics for a room
+ * @param {Array} topics - Candidate topics (library or built-in list)
+ * @param {Object} history - From buildRotationHistory
+ * @param {Object} options - { count, windowDays }
+ * @returns {Array} Up to `count` distinct topics, each with a `selection`
+ */
+export function chooseTopics(topics, history, { count = 1, windowDays = 0 } = {}) {
+  const { recent, categoryUsage } = history
+  // Copy so picks made here spread later picks across categories
+  const usage = new Map(categoryUsage)
+  const usesOf = topic => usage.get((topic.category || '').toLowerCase()) || 0
+
+  let fresh = topics.filter(topic => !recent.has(topic.title.toLowerCase()))
+  // Once nothing fresh is left, reuse whatever was discussed longest ago
+  const stale = topics
+    .filter(topic => recent.has(topic.title.toLowerCase()))
+    .sort((a, b) => recent.get(a.title.toLowerCase()).lastUsedAt - recent.get(b.title.toLowerCase()).lastUsedAt)
+  const skippedRecent = stale.length
+
+  const chosen = []
+  while (chosen.length < count && (fresh.length > 0 || stale.length > 0)) {
+    const reused = fresh.length === 0
+    const topic = reused ? stale.shift() : weightedPick(fresh, t => 1 / (1 + usesOf(t)))
+    const categoryUses = usesOf(topic)
+    fresh = fresh.filter(t => t !== topic)
+
+    let reason
+    if (reused) {
+      reason = `No topic was left that this room and its participants had not discussed in the last ${windowDays} days; this one was discussed longest ago`
+    } else {
+      const freshness = windowDays > 0
+        ? `Not discussed by this room or its participants in the last ${windowDays} days`
+        : 'Repeat avoidance is off for this room'
+      reason = `${freshness}; ${topic.category} topics have been used ${categoryUses} times, and less-used categories are preferred`
+    }
+
+    chosen.push({
+      ...topic,
+      selection: { method: 'rotation', reason, categoryUses, skippedRecent }
+    })
+    usage.set((topic.category || '').toLowerCase(), categoryUses + 1)
+  }
+  return chosen
+}
@@ -0,0 +1,196 @@
+/**
+ * Topic Schema
+ * Validation for topic library records created or edited through the API
+ */
+
+const MAX_TITLE_LENGTH = 120
+const MAX_DESCRIPTION_LENGTH = 500
+const MAX_CATEGORY_LENGTH = 50
+const MAX_AUTHOR_LENGTH = 100
+const MAX_QUESTIONS = 10
+const MAX_QUESTION_LENGTH = 300
+const MAX_TAGS = 10
+const MAX_TAG_LENGTH = 30
+const MAX_TRANSLATIONS = 12
+
+// Who a topic is pitched at, and how demanding it is
+export const TOPIC_AUDIENCES = ['school', 'undergrad', 'professional']
+export const TOPIC_DIFFICULTIES = ['beginner', 'intermediate', 'advanced']
+export const DEFAULT_TOPIC_LANGUAGE = 'en'
+
+// ISO 639 language code with an optional region, e.g. en, es, pt-br
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/
+
+/**
+ * Check a required or optional text field
+ * @param {*} value - Raw value
+ * @param {string} name - Field name for error messages
+ * @param {number} maxLength - Maximum length after trimming
+ * @param {boolean} required - Whether an empty value is an error
+ * @returns {string} Trimmed text ('' when optional and missing)
+ */
+function validateText(value, name, maxLength, required = false) {
+  if (value === undefined || value === null) value = ''
+  if (typeof value !== 'string') {
+    throw new Error(`${name} must be a string`)
+  }
+  const text = value.trim()
+  if (required && !text) {
+    throw new Error(`${name} is required`)
+  }
+  if (text.length > maxLength) {
+    throw new Error(`${name} must be at most ${maxLength} characters`)
+  }
+  return text
+}
+
+/**
+ * Check a list of short strings
+ * @param {*} value - Raw value
+ * @param {string} name - Field name for error messages
+ * @param {number} maxItems - Maximum number of entries
+ * @param {number} maxLength - Maximum length of each entry
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function validateList(value, name, maxItems, maxLength) {
+  if (value === undefined || value === null) return []
+  if (!Array.isArray(value)) {
+    throw new Error(`${name} must be an array of strings`)
+  }
+  const items = value.map(item => validateText(item, `${name} entries`, maxLength)).filter(Boolean)
+  if (items.length > maxItems) {
+    throw new Error(`${name} can have at most ${maxItems} entries`)
+  }
+  return items
+}
+
+/**
+ * Check an optional value that must be one of a fixed set
+ * @param {*} value - Raw value
+ * @param {string} name - Field name for error messages
+ * @param {Array<string>} options - Allowed values (lower case)
+ * @returns {string|null} Lower-cased value, or null when missing
+ */
+function validateChoice(value, name, options) {
+  const text = validateText(value, name, 50).toLowerCase()
+  if (!text) return null
+  if (!options.includes(text)) {
+    throw new Error(`${name} must be one of ${options.join(', ')}`)
+  }
+  return text
+}
+
+/**
+ * Check an optional language code
+ * @param {*} value - Raw value
+ * @returns {string|null} Lower-cased code, or null when missing
+ */
+function validateLanguage(value) {
+  const text = validateText(value, 'language', 20).toLowerCase()
+  if (!text) return null
+  if (!LANGUAGE_PATTERN.test(text)) {
+    throw new Error('language must be a language code such as en or pt-br')
+  }
+  return text
+}
+
+/**
+ * Check a locale code that must be present (e.g. a room's locale)
+ * @param {*} value - Raw value
+ * @returns {string} Lower-cased code
+ */
+export function validateLocale(value) {
+  const locale = validateLanguage(value)
+  if (!locale) {
+    throw new Error('locale is required')
+  }
+  return locale
+}
+
+/**
+ * Check a topic's translations
+ * @param {*} value - Raw { [locale]: { title, description, questions } }
+ * @param {string} language - The topic's own language, which cannot be repeated
+ * @returns {Object} Normalized translations keyed by lower-cased locale
+ */
+function validateTranslations(value, language) {
+  if (value === undefined || value === null) return {}
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('translations must be an object keyed by language code')
+  }
+  const entries = Object.entries(value)
+  if (entries.length > MAX_TRANSLATIONS) {
+    throw new Error(`translations can have at most ${MAX_TRANSLATIONS} languages`)
+  }
+
+  const translations = {}
+  for (const [code, translation] of entries) {
+    const locale = validateLocale(code)
+    if (locale === language) {
+      throw new Error(`translations cannot include the topic's own language (${language})`)
+    }
+    if (!translation || typeof translation !== 'object' || Array.isArray(translation)) {
+      throw new Error(`translations.${locale} must be an object`)
+    }
+    translations[locale] = {
+      title: validateText(translation.title, `translations.${locale}.title`, MAX_TITLE_LENGTH, true),
+      description: validateText(translation.description, `translations.${locale}.description`, MAX_DESCRIPTION_LENGTH),
+      questions: validateList(translation.questions, `translations.${locale}.questions`, MAX_QUESTIONS, MAX_QUESTION_LENGTH)
+    }
+  }
+  return translations
+}
+
+/**
+ * Validate and normalize a topic record
+ * Unknown fields are dropped; invalid values throw.
+ * @param {Object} input - Raw topic fields
+ * @returns {Object} { title, description, category, questions, tags, audience, difficulty,
+ *   language, translations, author, enabled }. A missing audience or difficulty
+ *   (null) means the topic suits any. Translations give the title, description
+ *   and questions in other languages; questions line up with the original's.
+ */
+export function validateTopic(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Topic must be an object')
+  }
+
+  if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+    throw new Error('enabled must be true or false')
+  }
+
+  const language = validateLanguage(input.language) || DEFAULT_TOPIC_LANGUAGE
+
+  return {
+    title: validateText(input.title, 'title', MAX_TITLE_LENGTH, true),
+    description: validateText(input.description, 'description', MAX_DESCRIPTION_LENGTH),
+    category: validateText(input.category, 'category', MAX_CATEGORY_LENGTH, true),
+    questions: validateList(input.questions, 'questions', MAX_QUESTIONS, MAX_QUESTION_LENGTH),
+    // Tags are stored lower-cased and de-duplicated so filters match consistently
+    tags: Array.from(new Set(validateList(input.tags, 'tags', MAX_TAGS, MAX_TAG_LENGTH).map(tag => tag.toLowerCase()))),
+    audience: validateChoice(input.audience, 'audience', TOPIC_AUDIENCES),
+    difficulty: validateChoice(input.difficulty, 'difficulty', TOPIC_DIFFICULTIES),
+    language,
+    translations: validateTranslations(input.translations, language),
+    author: validateText(input.author, 'author', MAX_AUTHOR_LENGTH) || null,
+    enabled: input.enabled !== false
+  }
+}
+
+/**
+ * Validate filters for choosing topics (API queries and room settings)
+ * @param {Object} input - Raw { category, audience, difficulty, language }
+ * @returns {Object} The same keys, each normalized or null when not filtering on it
+ */
+export function validateTopicFilters(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Topic filters must be an object')
+  }
+
+  return {
+    category: validateText(input.category, 'category', MAX_CATEGORY_LENGTH) || null,
+    audience: validateChoice(input.audience, 'audience', TOPIC_AUDIENCES),
+    difficulty: validateChoice(input.difficulty, 'difficulty', TOPIC_DIFFICULTIES),
+    language: validateLanguage(input.language)
+  }
+}
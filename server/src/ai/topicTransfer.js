@@ -0,0 +1,152 @@
+import { validateTopic } from './topicSchema.js'
+import { formatCsvRow } from '../utils/csv.js'
+import { findTopicId, getTopicById, createTopic, updateTopic } from '../database/database.js'
+
+/**
+ * Topic Import / Export
+ * Moves library topics in and out as JSON or CSV. Both use the library topic
+ * shape (see validateTopic). In CSV, `questions` and `tags` are lists separated
+ * by `|` and `translations` is a JSON object.
+ */
+
+export const MAX_IMPORT_ROWS = 1000
+
+export const TOPIC_CSV_COLUMNS = [
+  'title', 'description', 'category', 'questions', 'tags', 'audience',
+  'difficulty', 'language', 'translations', 'author', 'enabled'
+]
+
+const LIST_SEPARATOR = '|'
+
+/**
+ * Reduce a library topic to the fields that can be imported again
+ * @param {Object} topic - Topic from the database
+ * @returns {Object} Topic in the import shape
+ */
+export function toTransferTopic(topic) {
+  const { title, description, category, questions, tags, audience, difficulty, language, translations, author, enabled } = topic
+  return { title, description, category, questions, tags, audience, difficulty, language, translations, author, enabled }
+}
+
+/**
+ * Format topics as CSV
+ * @param {Array} topics - Topics in the import shape
+ * @returns {string} CSV text with a header row
+ */
+export function topicsToCsv(topics) {
+  return formatCsvRow(TOPIC_CSV_COLUMNS) + topics.map(topic => formatCsvRow([
+    topic.title,
+    topic.description,
+    topic.category,
+    (topic.questions || []).join(LIST_SEPARATOR),
+    (topic.tags || []).join(LIST_SEPARATOR),
+    topic.audience,
+    topic.difficulty,
+    topic.language,
+    Object.keys(topic.translations || {}).length > 0 ? JSON.stringify(topic.translations) : '',
+    topic.author,
+    topic.enabled === false ? 'false' : 'true'
+  ])).join('')
+}
+
+/**
+ * Convert a CSV record into raw topic fields for validateTopic
+ * @param {Object} record - Row keyed by header name
+ * @returns {Object} Raw topic
+ */
+function csvRecordToTopic(record) {
+  const list = value => (value ? value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean) : [])
+
+  let translations
+  if (record.translations && record.translations.trim()) {
+    try {
+      translations = JSON.parse(record.translations)
+    } catch {
+      throw new Error('translations must be a JSON object')
+    }
+  }
+
+  const enabled = (record.enabled || '').trim().toLowerCase()
+  if (enabled && !['true', 'false', '1', '0', 'yes', 'no'].includes(enabled)) {
+    throw new Error('enabled must be true or false')
+  }
+
+  return {
+    title: record.title,
+    description: record.description,
+    category: record.category,
+    questions: list(record.questions),
+    tags: list(record.tags),
+    audience: record.audience,
+    difficulty: record.difficulty,
+    language: record.language,
+    translations,
+    author: record.author,
+    enabled: enabled ? ['true', '1', 'yes'].includes(enabled) : undefined
+  }
+}
+
+/**
+ * Import topics into the library
+ * Every row is validated on its own, so one bad row does not stop the rest.
+ * A topic whose title and category (case-insensitive) already exist in the
+ * library is a duplicate: it is skipped, or overwritten with onDuplicate
+ * 'update'. Rows that only record the usage of non-library topics are taken
+ * over rather than counted as duplicates.
+ * @param {Array} records - Topics (JSON) or CSV records
+ * @param {Object} options - { format: 'json'|'csv', dryRun, onDuplicate: 'skip'|'update' }
+ * @returns {Promise<Object>} { dryRun, total, created, updated, duplicates, invalid, rows }
+ *   where rows is [{ row, status, title, id, error }] and row 1 is the first topic
+ */
+export async function importTopics(records, { format = 'json', dryRun = false, onDuplicate = 'skip' } = {}) {
+  const rows = []
+  const seen = new Map()
+
+  for (const [index, record] of records.entries()) {
+    const row = index + 1
+    let topic
+    try {
+      topic = validateTopic(format === 'csv' ? csvRecordToTopic(record) : record)
+    } catch (error) {
+      rows.push({ row, status: 'invalid', title: record?.title ?? null, error: error.message })
+      continue
+    }
+
+    const key = `${topic.title.toLowerCase()}\n${topic.category.toLowerCase()}`
+    if (seen.has(key)) {
+      rows.push({ row, status: 'invalid', title: topic.title, error: `Same title and category as row ${seen.get(key)}` })
+      continue
+    }
+    seen.set(key, row)
+
+    const existingId = await findTopicId(topic.title, topic.category)
+    const existing = existingId && await getTopicById(existingId)
+    // Library writes set updatedAt; usage-only rows never have it
+    const inLibrary = Boolean(existing?.updatedAt)
+    if (inLibrary && onDuplicate !== 'update') {
+      rows.push({ row, status: 'duplicate', title: topic.title, id: existingId })
+      continue
+    }
+
+    let id = existingId || null
+    if (!dryRun) {
+      if (existingId) {
+        await updateTopic(existingId, topic)
+      } else {
+        id = await createTopic(topic)
+      }
+    }
+    rows.push({ row, status: inLibrary ? 'updated' : 'created', title: topic.title, id })
+  }
+
+  const count = status => rows.filter(r => r.status === status).length
+  return {
+    dryRun,
+    total: records.length,
+    created: count('created'),
+    updated: count('updated'),
+    duplicates: count('duplicate'),
+    invalid: count('invalid'),
+    rows
+  }
+}
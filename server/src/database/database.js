@@ -1,6 +1,7 @@
 import sqlite3 from 'sqlite3'
 import { mkdir } from 'fs/promises'
 import { dirname } from 'path'
+import { migrateUp } from './migrator.js'
 
 /**
  * Database Management
@@ -10,27 +11,37 @@ import { dirname } from 'path'
 let db = null
 
 /**
- * Initialize the database
+ * Open the database connection (without migrating)
+ * @returns {Promise<sqlite3.Database>} Connection
  */
-export async function initializeDatabase() {
-  try {
-    const dbPath = process.env.DATABASE_URL || './data/roundtable.db'
-    
-    // Ensure data directory exists
-    await mkdir(dirname(dbPath), { recursive: true })
-    
-    // Create database connection
-    db = new sqlite3.Database(dbPath, (err) => {
+export async function openDatabase() {
+  const dbPath = process.env.DATABASE_URL || './data/roundtable.db'
+
+  // Ensure data directory exists
+  await mkdir(dirname(dbPath), { recursive: true })
+
+  db = await new Promise((resolve, reject) => {
+    const connection = new sqlite3.Database(dbPath, (err) => {
       if (err) {
         console.error('Database connection error:', err.message)
-        throw err
+        reject(err)
+        return
       }
       console.log('📊 Connected to SQLite database')
+      resolve(connection)
     })
+  })
+  return db
+}
 
-    // Create tables
-    await createTables()
-    
+/**
+ * Initialize the database
+ * Opens the connection and applies pending schema migrations (see migrator.js).
+ */
+export async function initializeDatabase() {
+  try {
+    await openDatabase()
+    await migrateUp(db)
     return db
   } catch (error) {
     console.error('Database initialization error:', error)
@@ -38,79 +49,6 @@ export async function initializeDatabase() {
   }
 }
 
-/**
- * Create database tables
- */
-async function createTables() {
-  return new Promise((resolve, reject) => {
-    db.serialize(() => {
-      // Sessions table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS sessions (
-          id TEXT PRIMARY KEY,
-          room_id TEXT NOT NULL,
-          topic_title TEXT,
-          topic_category TEXT,
-          participant_count INTEGER,
-          started_at DATETIME,
-          ended_at DATETIME,
-          duration_seconds INTEGER,
-          rounds_completed INTEGER,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `, (err) => {
-        if (err) {
-          console.error('Error creating sessions table:', err)
-          reject(err)
-          return
-        }
-      })
-
-      // Participants table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS participants (
-          id TEXT PRIMARY KEY,
-          session_id TEXT,
-          user_id TEXT,
-          anonymous_name TEXT,
-          campus TEXT,
-          location TEXT,
-          joined_at DATETIME,
-          left_at DATETIME,
-          speaking_time_seconds INTEGER DEFAULT 0,
-          FOREIGN KEY (session_id) REFERENCES sessions (id)
-        )
-      `, (err) => {
-        if (err) {
-          console.error('Error creating participants table:', err)
-          reject(err)
-          return
-        }
-      })
-
-      // Topics table (for analytics)
-      db.run(`
-        CREATE TABLE IF NOT EXISTS topics (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          title TEXT NOT NULL,
-          description TEXT,
-          category TEXT,
-          source TEXT DEFAULT 'fallback',
-          used_count INTEGER DEFAULT 0,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `, (err) => {
-        if (err) {
-          console.error('Error creating topics table:', err)
-          reject(err)
-          return
-        }
-        resolve()
-      })
-    })
-  })
-}
-
 /**
  * Get database instance
  */
@@ -131,14 +69,15 @@ export async function saveSession(sessionData) {
       startedAt,
       endedAt,
       durationSeconds,
-      roundsCompleted
+      roundsCompleted,
+      roundsPlanned
     } = sessionData
 
     const query = `
       INSERT INTO sessions (
         id, room_id, topic_title, topic_category, participant_count,
-        started_at, ended_at, duration_seconds, rounds_completed
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        started_at, ended_at, duration_seconds, rounds_completed, rounds_planned
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `
 
     db.run(query, [
@@ -150,7 +89,8 @@ export async function saveSession(sessionData) {
       startedAt,
       endedAt,
       durationSeconds,
-      roundsCompleted
+      roundsCompleted,
+      roundsPlanned ?? null
     ], function(err) {
       if (err) {
         console.error('Error saving session:', err)
@@ -176,14 +116,15 @@ export async function saveParticipant(participantData) {
       location,
       joinedAt,
       leftAt,
-      speakingTimeSeconds
+      speakingTimeSeconds,
+      turnsTaken
     } = participantData
 
     const query = `
       INSERT INTO participants (
         id, session_id, user_id, anonymous_name, campus, location,
-        joined_at, left_at, speaking_time_seconds
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        joined_at, left_at, speaking_time_seconds, turns_taken
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `
 
     db.run(query, [
@@ -195,7 +136,8 @@ export async function saveParticipant(participantData) {
       location,
       joinedAt,
       leftAt,
-      speakingTimeSeconds || 0
+      speakingTimeSeconds || 0,
+      turnsTaken || 0
     ], function(err) {
       if (err) {
         console.error('Error saving participant:', err)
@@ -226,18 +168,20 @@ export async function recordTopicUsage(topic) {
         return
       }
 
-      // If no rows were updated, insert new topic
+      // If no rows were updated, record the topic for analytics only.
+      // It stays out of the library (enabled = 0) until a curator enables it.
       if (this.changes === 0) {
         const insertQuery = `
-          INSERT INTO topics (title, description, category, source, used_count)
-          VALUES (?, ?, ?, ?, 1)
+          INSERT INTO topics (title, description, category, source, used_count, questions, enabled)
+          VALUES (?, ?, ?, ?, 1, ?, 0)
         `
 
         db.run(insertQuery, [
           topic.title,
           topic.description,
           topic.category,
-          topic.source || 'fallback'
+          topic.source || 'fallback',
+          JSON.stringify(topic.questions || [])
         ], function(err) {
           if (err) {
             console.error('Error inserting new topic:', err)
@@ -255,9 +199,10 @@ export async function recordTopicUsage(topic) {
 
 /**
  * Get session analytics
+ * Each session includes its recorded participants and a participation balance summary
  */
 export async function getSessionAnalytics(limit = 10) {
-  return new Promise((resolve, reject) => {
+  const sessions = await new Promise((resolve, reject) => {
     const query = `
       SELECT 
         s.id,
@@ -269,7 +214,8 @@ export async function getSessionAnalytics(limit = 10) {
         s.ended_at,
         s.duration_seconds,
         s.rounds_completed,
-        COUNT(p.id) as recorded_participants
+        COUNT(p.id) as recorded_participants,
+        COALESCE(SUM(p.speaking_time_seconds), 0) as total_speaking_seconds
       FROM sessions s
       LEFT JOIN participants p ON s.id = p.session_id
       GROUP BY s.id
@@ -286,6 +232,79 @@ export async function getSessionAnalytics(limit = 10) {
       resolve(rows)
     })
   })
+
+  const participants = await getSessionParticipants(sessions.map(s => s.id))
+
+  return sessions.map(session => {
+    const sessionParticipants = participants.filter(p => p.session_id === session.id)
+    return {
+      ...session,
+      participants: sessionParticipants,
+      participation_balance: summarizeParticipation(sessionParticipants)
+    }
+  })
+}
+
+/**
+ * Get recorded participants for a set of sessions
+ * @param {Array<string>} sessionIds - Session identifiers
+ * @returns {Promise<Array>} Participant rows
+ */
+export async function getSessionParticipants(sessionIds) {
+  if (sessionIds.length === 0) return []
+
+  return new Promise((resolve, reject) => {
+    const placeholders = sessionIds.map(() => '?').join(', ')
+    const query = `
+      SELECT 
+        session_id,
+        user_id,
+        anonymous_name,
+        campus,
+        joined_at,
+        left_at,
+        speaking_time_seconds,
+        turns_taken
+      FROM participants
+      WHERE session_id IN (${placeholders})
+      ORDER BY speaking_time_seconds DESC
+    `
+
+    db.all(query, sessionIds, (err, rows) => {
+      if (err) {
+        console.error('Error getting session participants:', err)
+        reject(err)
+        return
+      }
+      resolve(rows)
+    })
+  })
+}
+
+/**
+ * Summarize how evenly speaking time was shared
+ * gini is 0 when everyone spoke equally and approaches 1 when one person dominated
+ * @param {Array} participants - Participant rows for one session
+ * @returns {Object|null} Balance summary or null if nothing was recorded
+ */
+function summarizeParticipation(participants) {
+  if (participants.length === 0) return null
+
+  const seconds = participants.map(p => p.speaking_time_seconds || 0).sort((a, b) => a - b)
+  const total = seconds.reduce((sum, value) => sum + value, 0)
+  const n = seconds.length
+
+  // Gini coefficient over sorted speaking times
+  const weighted = seconds.reduce((sum, value, i) => sum + (2 * (i + 1) - n - 1) * value, 0)
+  const gini = total > 0 ? weighted / (n * total) : 0
+
+  return {
+    total_speaking_seconds: total,
+    average_speaking_seconds: Math.round(total / n),
+    max_share: total > 0 ? Math.round((seconds[n - 1] / total) * 100) / 100 : 0,
+    min_share: total > 0 ? Math.round((seconds[0] / total) * 100) / 100 : 0,
+    gini: Math.round(gini * 1000) / 1000
+  }
 }
 
 /**
@@ -365,17 +384,457 @@ export async function getServerStats() {
   })
 }
 
+/**
+ * Save the serialized state of a room (insert or replace)
+ * @param {string} id - Room identifier
+ * @param {string} state - JSON room state
+ */
+export async function saveRoomState(id, state) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO rooms (id, state, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(id) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at
+    `
+    db.run(query, [id, state], function(err) {
+      if (err) {
+        console.error('Error saving room state:', err)
+        reject(err)
+        return
+      }
+      resolve(this.changes)
+    })
+  })
+}
+
+/**
+ * Delete the saved state of a room
+ * @param {string} id - Room identifier
+ */
+export async function deleteRoomState(id) {
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM rooms WHERE id = ?', [id], function(err) {
+      if (err) {
+        console.error('Error deleting room state:', err)
+        reject(err)
+        return
+      }
+      resolve(this.changes)
+    })
+  })
+}
+
+/**
+ * Load every saved room state
+ * @returns {Array} Rows of { id, state }
+ */
+export async function getRoomStates() {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT id, state FROM rooms ORDER BY updated_at', [], (err, rows) => {
+      if (err) {
+        console.error('Error loading room states:', err)
+        reject(err)
+        return
+      }
+      resolve(rows)
+    })
+  })
+}
+
+const TOPIC_COLUMNS = `
+  id, title, description, category, questions, tags, audience, difficulty,
+  language, translations, author, enabled, source, used_count, created_at, updated_at
+`
+
+/**
+ * Convert a topics row into a topic object
+ * @param {Object} row - Database row
+ * @returns {Object} Topic with parsed questions, tags and translations
+ */
+function rowToTopic(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    category: row.category,
+    questions: parseJsonList(row.questions),
+    tags: parseJsonList(row.tags),
+    audience: row.audience,
+    difficulty: row.difficulty,
+    language: row.language,
+    translations: parseJsonMap(row.translations),
+    author: row.author,
+    enabled: row.enabled === 1,
+    source: row.source,
+    usedCount: row.used_count,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }
+}
+
+/**
+ * Parse a JSON array column, tolerating NULL and bad data
+ * @param {string} value - Column value
+ * @returns {Array} Parsed array
+ */
+function parseJsonList(value) {
+  try {
+    const list = JSON.parse(value)
+    return Array.isArray(list) ? list : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Parse a JSON object column, tolerating NULL and bad data
+ * @param {string} value - Column value
+ * @returns {Object} Parsed object
+ */
+function parseJsonMap(value) {
+  try {
+    const map = JSON.parse(value)
+    return map && typeof map === 'object' && !Array.isArray(map) ? map : {}
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Add WHERE conditions for topic filters
+ * Topics without an audience or difficulty suit any, so they match every filter.
+ * @param {Object} filters - { category, audience, difficulty, language } (null = any)
+ * @param {Array<string>} conditions - Conditions to add to
+ * @param {Array} params - Query parameters to add to
+ */
+function addTopicFilters({ category, audience, difficulty, language } = {}, conditions, params) {
+  if (category) {
+    conditions.push('LOWER(category) = LOWER(?)')
+    params.push(category)
+  }
+  if (audience) {
+    conditions.push('(audience IS NULL OR audience = ?)')
+    params.push(audience)
+  }
+  if (difficulty) {
+    conditions.push('(difficulty IS NULL OR difficulty = ?)')
+    params.push(difficulty)
+  }
+  if (language) {
+    conditions.push('LOWER(language) = LOWER(?)')
+    params.push(language)
+  }
+}
+
+/**
+ * Seed the topic library
+ * Runs only until the library has been written once (updated_at is set by
+ * library writes, never by usage tracking), so curator edits and deletions
+ * stick. A seed topic that already has a usage-only row takes that row over.
+ * @param {Array} topics - Topics to seed
+ * @returns {Promise<number>} Number of topics seeded
+ */
+export async function seedTopics(topics) {
+  const { count } = await new Promise((resolve, reject) => {
+    db.get('SELECT COUNT(*) as count FROM topics WHERE updated_at IS NOT NULL', [], (err, row) => {
+      if (err) {
+        console.error('Error counting library topics:', err)
+        reject(err)
+        return
+      }
+      resolve(row)
+    })
+  })
+  if (count > 0) return 0
+
+  for (const topic of topics) {
+    const existingId = await findTopicId(topic.title, topic.category)
+    if (existingId) {
+      await updateTopic(existingId, topic)
+    } else {
+      await createTopic({ ...topic, source: 'fallback' })
+    }
+  }
+  return topics.length
+}
+
+/**
+ * List library topics
+ * @param {Object} options - { includeDisabled, category, audience, difficulty, language }
+ * @returns {Promise<Array>} Topics
+ */
+export async function getTopics({ includeDisabled = false, ...filters } = {}) {
+  return new Promise((resolve, reject) => {
+    const conditions = ['questions IS NOT NULL']
+    const params = []
+    if (!includeDisabled) {
+      conditions.push('enabled = 1')
+    }
+    addTopicFilters(filters, conditions, params)
+
+    const query = `
+      SELECT ${TOPIC_COLUMNS}
+      FROM topics
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY category, title
+    `
+
+    db.all(query, params, (err, rows) => {
+      if (err) {
+        console.error('Error getting topics:', err)
+        reject(err)
+        return
+      }
+      resolve(rows.map(rowToTopic))
+    })
+  })
+}
+
+/**
+ * Get one topic by id
+ * @param {number} id - Topic id
+ * @returns {Promise<Object|null>} Topic or null
+ */
+export async function getTopicById(id) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT ${TOPIC_COLUMNS} FROM topics WHERE id = ?`, [id], (err, row) => {
+      if (err) {
+        console.error('Error getting topic:', err)
+        reject(err)
+        return
+      }
+      resolve(row ? rowToTopic(row) : null)
+    })
+  })
+}
+
+/**
+ * Pick random enabled library topics
+ * @param {number} limit - How many distinct topics to pick
+ * @param {Object} filters - { category, audience, difficulty, language } (optional)
+ * @returns {Promise<Array>} Up to `limit` topics
+ */
+export async function getRandomTopics(limit, filters = {}) {
+  return new Promise((resolve, reject) => {
+    const conditions = ['questions IS NOT NULL', 'enabled = 1']
+    const params = []
+    addTopicFilters(filters, conditions, params)
+
+    const query = `
+      SELECT ${TOPIC_COLUMNS}
+      FROM topics
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY RANDOM()
+      LIMIT ?
+    `
+
+    db.all(query, [...params, limit], (err, rows) => {
+      if (err) {
+        console.error('Error picking topics:', err)
+        reject(err)
+        return
+      }
+      resolve(rows.map(rowToTopic))
+    })
+  })
+}
+
+/**
+ * Pick a random enabled library topic
+ * @param {Object} filters - { category, audience, difficulty, language } (optional)
+ * @returns {Promise<Object|null>} Topic or null if none match
+ */
+export async function getRandomTopic(filters = {}) {
+  const [topic] = await getRandomTopics(1, filters)
+  return topic || null
+}
+
+/**
+ * Topics discussed recently by a room or by any of the given users
+ * @param {Object} options - { roomId, userIds, since (Date or ms) }
+ * @returns {Promise<Array>} Rows of { title, seen_by_room, started_at }, newest first
+ */
+export async function getRecentTopicHistory({ roomId, userIds = [], since }) {
+  return new Promise((resolve, reject) => {
+    const userPlaceholders = userIds.map(() => '?').join(', ')
+    const query = `
+      SELECT
+        s.topic_title as title,
+        MAX(s.room_id = ?) as seen_by_room,
+        MAX(s.started_at) as started_at
+      FROM sessions s
+      WHERE s.started_at >= ?
+        AND s.topic_title IS NOT NULL
+        AND (
+          s.room_id = ?
+          ${userIds.length ? `OR s.id IN (SELECT session_id FROM participants WHERE user_id IN (${userPlaceholders}))` : ''}
+        )
+      GROUP BY LOWER(s.topic_title)
+      ORDER BY started_at DESC
+    `
+
+    db.all(query, [roomId, Number(since), roomId, ...userIds], (err, rows) => {
+      if (err) {
+        console.error('Error getting recent topic history:', err)
+        reject(err)
+        return
+      }
+      resolve(rows)
+    })
+  })
+}
+
+/**
+ * Total recorded uses per topic category
+ * @returns {Promise<Array>} Rows of { category, uses }
+ */
+export async function getCategoryUsage() {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT category, SUM(used_count) as uses
+      FROM topics
+      WHERE category IS NOT NULL
+      GROUP BY LOWER(category)
+    `
+
+    db.all(query, [], (err, rows) => {
+      if (err) {
+        console.error('Error getting category usage:', err)
+        reject(err)
+        return
+      }
+      resolve(rows)
+    })
+  })
+}
+
+/**
+ * Find a topic row by title and category (case-insensitive)
+ * @param {string} title - Topic title
+ * @param {string} category - Topic category
+ * @returns {Promise<number|null>} Topic id or null
+ */
+export async function findTopicId(title, category) {
+  return new Promise((resolve, reject) => {
+    const query = 'SELECT id FROM topics WHERE LOWER(title) = LOWER(?) AND LOWER(category) = LOWER(?)'
+    db.get(query, [title, category], (err, row) => {
+      if (err) {
+        console.error('Error finding topic:', err)
+        reject(err)
+        return
+      }
+      resolve(row ? row.id : null)
+    })
+  })
+}
+
+/**
+ * Add a topic to the library
+ * @param {Object} topic - Validated topic fields
+ * @returns {Promise<number>} New topic id
+ */
+export async function createTopic(topic) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO topics (
+        title, description, category, questions, tags, audience, difficulty, language,
+        translations, author, enabled, source, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `
+
+    db.run(query, [
+      topic.title,
+      topic.description,
+      topic.category,
+      JSON.stringify(topic.questions || []),
+      JSON.stringify(topic.tags || []),
+      topic.audience || null,
+      topic.difficulty || null,
+      topic.language || 'en',
+      JSON.stringify(topic.translations || {}),
+      topic.author || null,
+      topic.enabled === false ? 0 : 1,
+      topic.source || 'library'
+    ], function(err) {
+      if (err) {
+        console.error('Error creating topic:', err)
+        reject(err)
+        return
+      }
+      resolve(this.lastID)
+    })
+  })
+}
+
+/**
+ * Replace a library topic's curated fields
+ * @param {number} id - Topic id
+ * @param {Object} topic - Validated topic fields
+ * @returns {Promise<number>} Number of rows changed
+ */
+export async function updateTopic(id, topic) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE topics
+      SET title = ?, description = ?, category = ?, questions = ?, tags = ?,
+          audience = ?, difficulty = ?, language = ?, translations = ?, author = ?,
+          enabled = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `
+
+    db.run(query, [
+      topic.title,
+      topic.description,
+      topic.category,
+      JSON.stringify(topic.questions || []),
+      JSON.stringify(topic.tags || []),
+      topic.audience || null,
+      topic.difficulty || null,
+      topic.language || 'en',
+      JSON.stringify(topic.translations || {}),
+      topic.author || null,
+      topic.enabled === false ? 0 : 1,
+      id
+    ], function(err) {
+      if (err) {
+        console.error('Error updating topic:', err)
+        reject(err)
+        return
+      }
+      resolve(this.changes)
+    })
+  })
+}
+
+/**
+ * Remove a topic from the library
+ * @param {number} id - Topic id
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export async function deleteTopic(id) {
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM topics WHERE id = ?', [id], function(err) {
+      if (err) {
+        console.error('Error deleting topic:', err)
+        reject(err)
+        return
+      }
+      resolve(this.changes)
+    })
+  })
+}
+
 /**
  * Update session end metadata
  */
-export async function updateSessionEnd({ id, endedAt, durationSeconds, roundsCompleted, participantCount }) {
+export async function updateSessionEnd({ id, endedAt, durationSeconds, roundsCompleted, roundsPlanned, participantCount }) {
   return new Promise((resolve, reject) => {
     const query = `
       UPDATE sessions
-      SET ended_at = ?, duration_seconds = ?, rounds_completed = ?, participant_count = ?
+      SET ended_at = ?, duration_seconds = ?, rounds_completed = ?,
+        rounds_planned = COALESCE(?, rounds_planned), participant_count = ?
       WHERE id = ?
     `
-    db.run(query, [endedAt, durationSeconds, roundsCompleted, participantCount, id], function(err) {
+    db.run(query, [endedAt, durationSeconds, roundsCompleted, roundsPlanned ?? null, participantCount, id], function(err) {
       if (err) {
         console.error('Error updating session end:', err)
         reject(err)
@@ -386,17 +845,532 @@ export async function updateSessionEnd({ id, endedAt, durationSeconds, roundsCom
   })
 }
 
+/**
+ * Store the end-of-discussion summary for a session
+ * @param {string} id - Session identifier
+ * @param {Object} summary - Summary from generateSessionSummary
+ * @returns {Promise<number>} Number of rows updated
+ */
+export async function saveSessionSummary(id, summary) {
+  return new Promise((resolve, reject) => {
+    db.run('UPDATE sessions SET summary = ? WHERE id = ?', [JSON.stringify(summary), id], function(err) {
+      if (err) {
+        console.error('Error saving session summary:', err)
+        reject(err)
+        return
+      }
+      resolve(this.changes)
+    })
+  })
+}
+
+/**
+ * Get a session's summary
+ * @param {string} id - Session identifier
+ * @returns {Promise<Object|null>} { id, roomId, endedAt, summary } (summary is null until
+ *   the discussion has ended), or null if the session does not exist
+ */
+export async function getSessionSummary(id) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT id, room_id, ended_at, summary FROM sessions WHERE id = ?', [id], (err, row) => {
+      if (err) {
+        console.error('Error getting session summary:', err)
+        reject(err)
+        return
+      }
+      resolve(row ? {
+        id: row.id,
+        roomId: row.room_id,
+        endedAt: row.ended_at,
+        summary: row.summary ? JSON.parse(row.summary) : null
+      } : null)
+    })
+  })
+}
+
+/**
+ * Get one user's participation across sessions
+ * @param {string} userId - User ID
+ * @param {number} limit - Most recent sessions to list
+ * @returns {Promise<Object>} { userId, totals, topics, sessions } where totals are over
+ *   every session (not only the listed ones) and roundsAttended counts the rounds
+ *   completed in the sessions they took part in
+ */
+export async function getUserHistory(userId, limit = 20) {
+  const query = (sql, params) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        console.error('Error getting user history:', err)
+        reject(err)
+        return
+      }
+      resolve(rows)
+    })
+  })
+
+  const [[totals], topics, sessions] = await Promise.all([
+    query(`
+      SELECT
+        COUNT(DISTINCT p.session_id) as sessions,
+        COALESCE(SUM(p.speaking_time_seconds), 0) as speaking_seconds,
+        COALESCE(SUM(p.turns_taken), 0) as turns,
+        COALESCE(SUM(s.rounds_completed), 0) as rounds_attended,
+        COUNT(DISTINCT s.topic_title || '|' || COALESCE(s.topic_category, '')) as topics
+      FROM participants p
+      JOIN sessions s ON s.id = p.session_id
+      WHERE p.user_id = ?
+    `, [userId]),
+    query(`
+      SELECT s.topic_title, s.topic_category, COUNT(*) as sessions, MAX(s.started_at) as last_discussed_at
+      FROM participants p
+      JOIN sessions s ON s.id = p.session_id
+      WHERE p.user_id = ? AND s.topic_title IS NOT NULL
+      GROUP BY s.topic_title, s.topic_category
+      ORDER BY sessions DESC, last_discussed_at DESC
+    `, [userId]),
+    query(`
+      SELECT
+        s.id, s.room_id, s.topic_title, s.topic_category, s.participant_count,
+        s.started_at, s.ended_at, s.duration_seconds, s.rounds_completed,
+        s.summary IS NOT NULL as has_summary,
+        p.anonymous_name, p.joined_at, p.left_at, p.speaking_time_seconds, p.turns_taken
+      FROM participants p
+      JOIN sessions s ON s.id = p.session_id
+      WHERE p.user_id = ?
+      ORDER BY s.started_at DESC
+      LIMIT ?
+    `, [userId, limit])
+  ])
+
+  return {
+    userId,
+    totals: {
+      sessions: totals.sessions,
+      speakingSeconds: totals.speaking_seconds,
+      turns: totals.turns,
+      roundsAttended: totals.rounds_attended,
+      topics: totals.topics
+    },
+    topics: topics.map(row => ({
+      title: row.topic_title,
+      category: row.topic_category,
+      sessions: row.sessions,
+      lastDiscussedAt: row.last_discussed_at
+    })),
+    sessions: sessions.map(row => ({
+      sessionId: row.id,
+      roomId: row.room_id,
+      topic: { title: row.topic_title, category: row.topic_category },
+      participantCount: row.participant_count,
+      startedAt: row.started_at,
+      endedAt: row.ended_at,
+      durationSeconds: row.duration_seconds,
+      roundsCompleted: row.rounds_completed,
+      hasSummary: Boolean(row.has_summary),
+      anonymousName: row.anonymous_name,
+      joinedAt: row.joined_at,
+      leftAt: row.left_at,
+      speakingSeconds: row.speaking_time_seconds,
+      turns: row.turns_taken
+    }))
+  }
+}
+
+/**
+ * Save a participant's feedback on a session
+ * A user who rates the same session again replaces their earlier feedback.
+ * @param {Object} feedback - { sessionId, userId, rating, comment }
+ */
+export async function saveFeedback({ sessionId, userId, rating, comment }) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO feedback (session_id, user_id, rating, comment) VALUES (?, ?, ?, ?)
+      ON CONFLICT(session_id, user_id) DO UPDATE SET
+        rating = excluded.rating,
+        comment = excluded.comment,
+        updated_at = CURRENT_TIMESTAMP
+    `
+
+    db.run(query, [sessionId, userId, rating, comment], function(err) {
+      if (err) {
+        console.error('Error saving feedback:', err)
+        reject(err)
+        return
+      }
+      resolve()
+    })
+  })
+}
+
+// Count, average and per-rating counts for a group of feedback rows (alias f)
+const RATING_STATS = `
+  COUNT(*) as count,
+  AVG(f.rating) as average,
+  SUM(f.rating = 1) as r1, SUM(f.rating = 2) as r2, SUM(f.rating = 3) as r3,
+  SUM(f.rating = 4) as r4, SUM(f.rating = 5) as r5
+`
+
+/**
+ * Shape a row selected with RATING_STATS
+ * @param {Object} row - Query row
+ * @returns {Object} { count, average, distribution } where distribution maps each rating 1-5 to its count
+ */
+function toRatingStats(row) {
+  return {
+    count: row.count,
+    average: row.count > 0 ? Math.round(row.average * 100) / 100 : null,
+    distribution: { 1: row.r1 || 0, 2: row.r2 || 0, 3: row.r3 || 0, 4: row.r4 || 0, 5: row.r5 || 0 }
+  }
+}
+
+/**
+ * Get feedback analytics
+ * @param {number} limit - Sessions, topics and comments to list
+ * @returns {Promise<Object>} { overall, sessions, topics, recentComments }
+ */
+export async function getFeedbackAnalytics(limit = 20) {
+  const query = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        console.error('Error getting feedback analytics:', err)
+        reject(err)
+        return
+      }
+      resolve(rows)
+    })
+  })
+
+  const [[overall], sessions, topics, comments] = await Promise.all([
+    query(`SELECT ${RATING_STATS} FROM feedback f`),
+    query(`
+      SELECT s.id, s.topic_title, s.topic_category, s.started_at, ${RATING_STATS}
+      FROM feedback f
+      JOIN sessions s ON s.id = f.session_id
+      GROUP BY s.id
+      ORDER BY s.started_at DESC
+      LIMIT ?
+    `, [limit]),
+    query(`
+      SELECT s.topic_title, s.topic_category, ${RATING_STATS}
+      FROM feedback f
+      JOIN sessions s ON s.id = f.session_id
+      WHERE s.topic_title IS NOT NULL
+      GROUP BY s.topic_title, s.topic_category
+      ORDER BY count DESC, average DESC
+      LIMIT ?
+    `, [limit]),
+    query(`
+      SELECT f.session_id, s.topic_title, f.rating, f.comment, COALESCE(f.updated_at, f.created_at) as submitted_at
+      FROM feedback f
+      LEFT JOIN sessions s ON s.id = f.session_id
+      WHERE f.comment IS NOT NULL AND f.comment != ''
+      ORDER BY submitted_at DESC, f.id DESC
+      LIMIT ?
+    `, [limit])
+  ])
+
+  return {
+    overall: toRatingStats(overall),
+    sessions: sessions.map(row => ({
+      sessionId: row.id,
+      topic: { title: row.topic_title, category: row.topic_category },
+      startedAt: row.started_at,
+      ...toRatingStats(row)
+    })),
+    topics: topics.map(row => ({
+      title: row.topic_title,
+      category: row.topic_category,
+      ...toRatingStats(row)
+    })),
+    recentComments: comments.map(row => ({
+      sessionId: row.session_id,
+      topicTitle: row.topic_title,
+      rating: row.rating,
+      comment: row.comment,
+      submittedAt: row.submitted_at
+    }))
+  }
+}
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+// Bucket sizes for getSessionTimeseries
+export const TIMESERIES_BUCKETS = { hour: HOUR_MS, day: DAY_MS, week: 7 * DAY_MS }
+
+/**
+ * Start of the bucket a timestamp falls in
+ * Days and weeks follow the given UTC offset; weeks start on Monday.
+ * @param {number} time - Timestamp in ms
+ * @param {string} bucket - 'hour', 'day' or 'week'
+ * @param {number} offsetMs - UTC offset in ms
+ * @returns {number} Bucket start in ms
+ */
+function bucketStart(time, bucket, offsetMs) {
+  const local = time + offsetMs
+  if (bucket === 'week') {
+    const day = Math.floor(local / DAY_MS)
+    // Day 0 (1970-01-01) was a Thursday
+    return (day - ((day + 3) % 7)) * DAY_MS - offsetMs
+  }
+  const size = TIMESERIES_BUCKETS[bucket]
+  return Math.floor(local / size) * size - offsetMs
+}
+
+/**
+ * SQL version of bucketStart for a millisecond timestamp column
+ * @param {string} column - Column holding ms timestamps
+ * @param {string} bucket - 'hour', 'day' or 'week'
+ * @param {number} offsetMs - UTC offset in ms (an integer, inlined)
+ * @returns {string} SQL expression
+ */
+function bucketStartSql(column, bucket, offsetMs) {
+  const local = `(CAST(${column} AS INTEGER) + ${offsetMs})`
+  if (bucket === 'week') {
+    return `((${local} / ${DAY_MS} - ((${local} / ${DAY_MS} + 3) % 7)) * ${DAY_MS} - ${offsetMs})`
+  }
+  const size = TIMESERIES_BUCKETS[bucket]
+  return `(${local} / ${size} * ${size} - ${offsetMs})`
+}
+
+/**
+ * Get session metrics over time
+ * Every bucket in the range is returned, empty ones with zero sessions. A session
+ * counts toward the completion rate once it has ended, if it recorded how many
+ * rounds it was set to run; it is complete if it reached the final round.
+ * @param {Object} options - { bucket, from, to, utcOffsetMinutes } with from/to in ms (to exclusive)
+ * @returns {Promise<Array>} [{ start, sessions, participants, avgDurationSeconds,
+ *   completionRate, completedSessions }] where start is an ISO timestamp
+ */
+export async function getSessionTimeseries({ bucket, from, to, utcOffsetMinutes = 0 }) {
+  const offsetMs = utcOffsetMinutes * 60 * 1000
+  const start = bucketStartSql('s.started_at', bucket, offsetMs)
+  const query = (sql) => new Promise((resolve, reject) => {
+    db.all(sql, [from, to], (err, rows) => {
+      if (err) {
+        console.error('Error getting session timeseries:', err)
+        reject(err)
+        return
+      }
+      resolve(new Map(rows.map(row => [row.bucket_start, row])))
+    })
+  })
+
+  const [sessions, participants] = await Promise.all([
+    query(`
+      SELECT
+        ${start} as bucket_start,
+        COUNT(*) as sessions,
+        AVG(CASE WHEN s.ended_at IS NOT NULL THEN s.duration_seconds END) as avg_duration,
+        SUM(s.ended_at IS NOT NULL AND s.rounds_planned IS NOT NULL) as measured,
+        SUM(s.ended_at IS NOT NULL AND s.rounds_completed >= s.rounds_planned) as completed
+      FROM sessions s
+      WHERE s.started_at >= ? AND s.started_at < ?
+      GROUP BY bucket_start
+    `),
+    query(`
+      SELECT ${start} as bucket_start, COUNT(DISTINCT p.user_id) as participants
+      FROM sessions s
+      JOIN participants p ON p.session_id = s.id
+      WHERE s.started_at >= ? AND s.started_at < ?
+      GROUP BY bucket_start
+    `)
+  ])
+
+  const points = []
+  for (let time = bucketStart(from, bucket, offsetMs); time < to; time += TIMESERIES_BUCKETS[bucket]) {
+    const row = sessions.get(time)
+    points.push({
+      start: new Date(time).toISOString(),
+      sessions: row?.sessions || 0,
+      participants: participants.get(time)?.participants || 0,
+      avgDurationSeconds: row?.avg_duration != null ? Math.round(row.avg_duration) : null,
+      completionRate: row?.measured ? Math.round(row.completed / row.measured * 100) / 100 : null,
+      completedSessions: row?.completed || 0
+    })
+  }
+  return points
+}
+
+/**
+ * Get when sessions start, by weekday and hour
+ * @param {Object} options - { from, to, utcOffsetMinutes } with from/to in ms (to exclusive)
+ * @returns {Promise<Object>} { sessions, participants } as 7x24 grids indexed
+ *   [weekday][hour] with weekday 0 = Sunday, in the given UTC offset
+ */
+export async function getSessionHeatmap({ from, to, utcOffsetMinutes = 0 }) {
+  const local = `(CAST(started_at AS INTEGER) + ${utcOffsetMinutes * 60 * 1000})`
+  const rows = await new Promise((resolve, reject) => {
+    const query = `
+      SELECT
+        (${local} / ${DAY_MS} + 4) % 7 as weekday,
+        (${local} % ${DAY_MS}) / ${HOUR_MS} as hour,
+        COUNT(*) as sessions,
+        COALESCE(SUM(participant_count), 0) as participants
+      FROM sessions
+      WHERE started_at >= ? AND started_at < ?
+      GROUP BY weekday, hour
+    `
+
+    db.all(query, [from, to], (err, rows) => {
+      if (err) {
+        console.error('Error getting session heatmap:', err)
+        reject(err)
+        return
+      }
+      resolve(rows)
+    })
+  })
+
+  const grid = () => Array.from({ length: 7 }, () => new Array(24).fill(0))
+  const sessions = grid()
+  const participants = grid()
+  for (const row of rows) {
+    sessions[row.weekday][row.hour] = row.sessions
+    participants[row.weekday][row.hour] = row.participants
+  }
+  return { sessions, participants }
+}
+
+/**
+ * SQL converting an SQLite DATETIME (UTC, "YYYY-MM-DD HH:MM:SS") to the ISO
+ * format used for millisecond timestamps, so an export has one date format
+ * @param {string} column - Column expression
+ * @returns {string} SQL expression
+ */
+const isoTimeSql = column => `strftime('%Y-%m-%dT%H:%M:%fZ', ${column})`
+
+// Tables that can be exported: the columns written, how to select them, and
+// which columns the date range and room filters apply to. Sessions, participants
+// and feedback are filtered by when their session started and its room.
+const EXPORTS = {
+  sessions: {
+    columns: ['id', 'room_id', 'topic_title', 'topic_category', 'participant_count', 'started_at', 'ended_at',
+      'duration_seconds', 'rounds_completed', 'rounds_planned'],
+    select: `SELECT s.rowid as row_key, s.* FROM sessions s`,
+    key: 's.rowid',
+    time: 's.started_at',
+    room: 's.room_id'
+  },
+  participants: {
+    columns: ['id', 'session_id', 'room_id', 'user_id', 'anonymous_name', 'campus', 'location', 'joined_at', 'left_at',
+      'speaking_time_seconds', 'turns_taken'],
+    select: `SELECT p.rowid as row_key, p.*, s.room_id FROM participants p JOIN sessions s ON s.id = p.session_id`,
+    key: 'p.rowid',
+    time: 's.started_at',
+    room: 's.room_id'
+  },
+  topics: {
+    columns: ['id', 'title', 'description', 'category', 'source', 'used_count', 'questions', 'tags', 'audience',
+      'difficulty', 'language', 'author', 'enabled', 'created_at', 'updated_at'],
+    select: `SELECT t.rowid as row_key, t.id, t.title, t.description, t.category, t.source, t.used_count, t.questions,
+      t.tags, t.audience, t.difficulty, t.language, t.author, t.enabled,
+      ${isoTimeSql('t.created_at')} as created_at, ${isoTimeSql('t.updated_at')} as updated_at
+      FROM topics t`,
+    key: 't.rowid',
+    // created_at is an SQLite DATETIME string, so compare it with the range as one
+    time: "CAST(strftime('%s', t.created_at) AS INTEGER) * 1000",
+    room: null
+  },
+  feedback: {
+    columns: ['id', 'session_id', 'room_id', 'topic_title', 'user_id', 'rating', 'comment', 'created_at', 'updated_at'],
+    select: `SELECT f.rowid as row_key, f.id, f.session_id, s.room_id, s.topic_title, f.user_id, f.rating, f.comment,
+      ${isoTimeSql('f.created_at')} as created_at, ${isoTimeSql('f.updated_at')} as updated_at
+      FROM feedback f JOIN sessions s ON s.id = f.session_id`,
+    key: 'f.rowid',
+    time: 's.started_at',
+    room: 's.room_id'
+  }
+}
+
+export const EXPORT_TABLES = Object.keys(EXPORTS)
+
+/**
+ * Columns an export writes, in order
+ * @param {string} table - One of EXPORT_TABLES
+ * @returns {Array<string>} Column names
+ */
+export function getExportColumns(table) {
+  return EXPORTS[table].columns
+}
+
+/**
+ * Whether an export can be filtered by room
+ * @param {string} table - One of EXPORT_TABLES
+ * @returns {boolean} True if roomId applies
+ */
+export function exportHasRoom(table) {
+  return EXPORTS[table].room !== null
+}
+
+/**
+ * Read a table for export, a page at a time
+ * Pages follow the rowid (keyset pagination), so memory use stays flat however
+ * large the table is. Timestamps are written as ISO strings.
+ * @param {string} table - One of EXPORT_TABLES
+ * @param {Object} filters - { from, to, roomId } with from/to in ms (to exclusive), null for no limit
+ * @param {number} pageSize - Rows per page
+ * @yields {Array<Object>} Rows with the table's export columns
+ */
+export async function* exportRows(table, { from = null, to = null, roomId = null } = {}, pageSize = 500) {
+  const { columns, select, key, time, room } = EXPORTS[table]
+  const conditions = [`${key} > ?`]
+  const params = []
+  if (from !== null) {
+    conditions.push(`${time} >= ?`)
+    params.push(from)
+  }
+  if (to !== null) {
+    conditions.push(`${time} < ?`)
+    params.push(to)
+  }
+  if (roomId && room) {
+    conditions.push(`${room} = ?`)
+    params.push(roomId)
+  }
+  const query = `${select} WHERE ${conditions.join(' AND ')} ORDER BY ${key} LIMIT ?`
+  const toIsoTime = value => (typeof value === 'number' ? new Date(value).toISOString() : value)
+
+  let lastKey = 0
+  while (true) {
+    const rows = await new Promise((resolve, reject) => {
+      db.all(query, [lastKey, ...params, pageSize], (err, rows) => {
+        if (err) {
+          console.error(`Error exporting ${table}:`, err)
+          reject(err)
+          return
+        }
+        resolve(rows)
+      })
+    })
+    if (rows.length === 0) return
+
+    lastKey = rows[rows.length - 1].row_key
+    yield rows.map(row => Object.fromEntries(columns.map(column => [
+      column,
+      /_at$/.test(column) ? toIsoTime(row[column]) : row[column]
+    ])))
+    if (rows.length < pageSize) return
+  }
+}
+
 /**
  * Close database connection
+ * @returns {Promise<void>} Resolves once the connection is closed
  */
 export function closeDatabase() {
-  if (db) {
+  return new Promise((resolve) => {
+    if (!db) {
+      resolve()
+      return
+    }
     db.close((err) => {
       if (err) {
         console.error('Error closing database:', err)
       } else {
         console.log('📊 Database connection closed')
       }
+      resolve()
     })
-  }
+  })
 }
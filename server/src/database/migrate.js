@@ -0,0 +1,73 @@
+import dotenv from 'dotenv'
+import { openDatabase, closeDatabase } from './database.js'
+import { getMigrationStatus, migrateUp, migrateDown, formatMigrationId } from './migrator.js'
+
+/**
+ * Migration CLI
+ *   npm run migrate                   show applied and pending migrations
+ *   npm run migrate -- up [version]   apply pending migrations (up to version)
+ *   npm run migrate -- down [steps]   roll back the newest migrations (default 1)
+ *   npm run migrate -- down --to N    roll back every migration above version N
+ * Uses DATABASE_URL like the server.
+ */
+
+dotenv.config()
+
+const USAGE = 'Usage: npm run migrate -- [status | up [version] | down [steps] | down --to <version>]'
+
+/**
+ * Parse a non-negative integer argument
+ * @param {string} value - Raw argument
+ * @param {string} what - Name for the error message
+ * @returns {number} Parsed value
+ */
+function parseCount(value, what) {
+  if (!/^\d+$/.test(value || '')) {
+    throw new Error(`${what} must be a non-negative integer\n${USAGE}`)
+  }
+  return Number(value)
+}
+
+/**
+ * Print every migration with its state
+ * @param {sqlite3.Database} db - Open connection
+ */
+async function printStatus(db) {
+  const migrations = await getMigrationStatus(db)
+  for (const migration of migrations) {
+    const { appliedAt } = migration
+    console.log(`${appliedAt ? '✔' : '·'} ${formatMigrationId(migration).padEnd(32)} ${appliedAt ? `applied ${appliedAt}` : 'pending'}`)
+  }
+  const pending = migrations.filter(migration => !migration.appliedAt).length
+  console.log(`${migrations.length - pending} applied, ${pending} pending`)
+}
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2)
+  if (!['status', 'up', 'down'].includes(command)) {
+    throw new Error(`Unknown command "${command}"\n${USAGE}`)
+  }
+
+  const db = await openDatabase()
+  try {
+    if (command === 'up') {
+      const to = args[0] === undefined ? Infinity : parseCount(args[0], 'version')
+      const applied = await migrateUp(db, { to })
+      if (applied.length === 0) console.log('Nothing to apply')
+    } else if (command === 'down') {
+      const options = args[0] === '--to'
+        ? { to: parseCount(args[1], 'version') }
+        : { steps: args[0] === undefined ? 1 : parseCount(args[0], 'steps') }
+      const rolledBack = await migrateDown(db, options)
+      if (rolledBack.length === 0) console.log('Nothing to roll back')
+    }
+    await printStatus(db)
+  } finally {
+    closeDatabase()
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`)
+  process.exitCode = 1
+})
@@ -0,0 +1,55 @@
+/**
+ * Migration 001: the original sessions, participants and topics tables
+ * Tables are created only if missing, so databases from before migrations keep their data.
+ */
+
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      room_id TEXT NOT NULL,
+      topic_title TEXT,
+      topic_category TEXT,
+      participant_count INTEGER,
+      started_at DATETIME,
+      ended_at DATETIME,
+      duration_seconds INTEGER,
+      rounds_completed INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS participants (
+      id TEXT PRIMARY KEY,
+      session_id TEXT,
+      user_id TEXT,
+      anonymous_name TEXT,
+      campus TEXT,
+      location TEXT,
+      joined_at DATETIME,
+      left_at DATETIME,
+      speaking_time_seconds INTEGER DEFAULT 0,
+      FOREIGN KEY (session_id) REFERENCES sessions (id)
+    )
+  `)
+
+  // Topic usage analytics (the curated library columns come in 004)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS topics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      description TEXT,
+      category TEXT,
+      source TEXT DEFAULT 'fallback',
+      used_count INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS participants')
+  await db.run('DROP TABLE IF EXISTS sessions')
+  await db.run('DROP TABLE IF EXISTS topics')
+}
@@ -0,0 +1,11 @@
+/**
+ * Migration 002: turns taken per participant
+ */
+
+export async function up(db) {
+  await db.addColumn('participants', 'turns_taken', 'INTEGER DEFAULT 0')
+}
+
+export async function down(db) {
+  await db.dropColumn('participants', 'turns_taken')
+}
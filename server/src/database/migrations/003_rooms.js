@@ -0,0 +1,17 @@
+/**
+ * Migration 003: live room state for the sqlite room store
+ */
+
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS rooms (
+      id TEXT PRIMARY KEY,
+      state TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS rooms')
+}
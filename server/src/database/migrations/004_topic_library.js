@@ -0,0 +1,23 @@
+/**
+ * Migration 004: curated topic library fields on topics
+ */
+
+const COLUMNS = {
+  questions: 'TEXT',
+  tags: 'TEXT',
+  author: 'TEXT',
+  enabled: 'INTEGER DEFAULT 1',
+  updated_at: 'DATETIME'
+}
+
+export async function up(db) {
+  for (const [column, type] of Object.entries(COLUMNS)) {
+    await db.addColumn('topics', column, type)
+  }
+}
+
+export async function down(db) {
+  for (const column of Object.keys(COLUMNS)) {
+    await db.dropColumn('topics', column)
+  }
+}
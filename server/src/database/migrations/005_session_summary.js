@@ -0,0 +1,11 @@
+/**
+ * Migration 005: end-of-discussion summary on sessions (JSON)
+ */
+
+export async function up(db) {
+  await db.addColumn('sessions', 'summary', 'TEXT')
+}
+
+export async function down(db) {
+  await db.dropColumn('sessions', 'summary')
+}
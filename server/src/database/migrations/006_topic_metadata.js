@@ -0,0 +1,22 @@
+/**
+ * Migration 006: topic audience, difficulty, language and translations (JSON)
+ */
+
+const COLUMNS = {
+  audience: 'TEXT',
+  difficulty: 'TEXT',
+  language: "TEXT DEFAULT 'en'",
+  translations: 'TEXT'
+}
+
+export async function up(db) {
+  for (const [column, type] of Object.entries(COLUMNS)) {
+    await db.addColumn('topics', column, type)
+  }
+}
+
+export async function down(db) {
+  for (const column of Object.keys(COLUMNS)) {
+    await db.dropColumn('topics', column)
+  }
+}
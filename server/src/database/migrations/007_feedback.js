@@ -0,0 +1,24 @@
+/**
+ * Migration 007: post-discussion feedback, one rating per user per session
+ */
+
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS feedback (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      user_id TEXT,
+      rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+      comment TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY (session_id) REFERENCES sessions (id)
+    )
+  `)
+  await db.run('CREATE UNIQUE INDEX IF NOT EXISTS feedback_session_user ON feedback (session_id, user_id)')
+}
+
+export async function down(db) {
+  await db.run('DROP INDEX IF EXISTS feedback_session_user')
+  await db.run('DROP TABLE IF EXISTS feedback')
+}
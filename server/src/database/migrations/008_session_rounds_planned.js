@@ -0,0 +1,11 @@
+/**
+ * Migration 008: rounds a session was set to run, so completion can be measured
+ */
+
+export async function up(db) {
+  await db.addColumn('sessions', 'rounds_planned', 'INTEGER')
+}
+
+export async function down(db) {
+  await db.dropColumn('sessions', 'rounds_planned')
+}
@@ -0,0 +1,198 @@
+import { readdir } from 'fs/promises'
+import { fileURLToPath, pathToFileURL } from 'url'
+import { dirname, join } from 'path'
+
+/**
+ * Schema Migrations
+ * Numbered files in ./migrations (e.g. 002_participant_turns.js) each export
+ * `up(db)` and `down(db)`, where db is the helper context below. Applied
+ * versions are recorded in the schema_migrations table. Each migration runs in
+ * a transaction, so a failed one leaves the schema as it was.
+ */
+
+const MIGRATIONS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'migrations')
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/
+
+/**
+ * Migration name as in its file name
+ * @param {Object} migration - { version, name }
+ * @returns {string} e.g. 001_initial_schema
+ */
+export function formatMigrationId({ version, name }) {
+  return `${String(version).padStart(3, '0')}_${name}`
+}
+
+/**
+ * Promise helpers over a sqlite3 connection, passed to migrations
+ * @param {sqlite3.Database} db - Open connection
+ * @returns {Object} { run, all, hasColumn, addColumn, dropColumn }
+ */
+function createContext(db) {
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()))
+  })
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)))
+  })
+  const hasColumn = async (table, column) => {
+    const columns = await all(`PRAGMA table_info(${table})`)
+    return columns.some(row => row.name === column)
+  }
+
+  return {
+    run,
+    all,
+    hasColumn,
+    // Databases created before migrations existed may already have the column
+    addColumn: async (table, column, type) => {
+      if (!(await hasColumn(table, column))) {
+        await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`)
+      }
+    },
+    dropColumn: async (table, column) => {
+      if (await hasColumn(table, column)) {
+        await run(`ALTER TABLE ${table} DROP COLUMN ${column}`)
+      }
+    }
+  }
+}
+
+/**
+ * Load the migration files in version order
+ * @returns {Promise<Array>} [{ version, name, up, down }]
+ */
+export async function loadMigrations() {
+  const files = (await readdir(MIGRATIONS_DIR)).filter(file => file.endsWith('.js'))
+  const migrations = []
+
+  for (const file of files) {
+    const match = file.match(MIGRATION_FILE)
+    if (!match) {
+      throw new Error(`Migration file name must look like 001_description.js: ${file}`)
+    }
+    const { up, down } = await import(pathToFileURL(join(MIGRATIONS_DIR, file)).href)
+    if (typeof up !== 'function' || typeof down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down()`)
+    }
+    migrations.push({ version: Number(match[1]), name: match[2], up, down })
+  }
+
+  migrations.sort((a, b) => a.version - b.version)
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.version === migrations[index - 1].version) {
+      throw new Error(`Two migrations share version ${migration.version}`)
+    }
+  })
+  return migrations
+}
+
+/**
+ * Create the schema_migrations table if needed and read the applied versions
+ * @param {Object} context - From createContext
+ * @returns {Promise<Map>} Version to applied_at
+ */
+async function getAppliedVersions(context) {
+  await context.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+  const rows = await context.all('SELECT version, applied_at FROM schema_migrations')
+  return new Map(rows.map(row => [row.version, row.applied_at]))
+}
+
+/**
+ * Run one migration step inside a transaction
+ * @param {Object} context - From createContext
+ * @param {Function} step - async (context) => void
+ */
+async function inTransaction(context, step) {
+  await context.run('BEGIN')
+  try {
+    await step(context)
+    await context.run('COMMIT')
+  } catch (error) {
+    await context.run('ROLLBACK')
+    throw error
+  }
+}
+
+/**
+ * List every migration and whether it has been applied
+ * @param {sqlite3.Database} db - Open connection
+ * @returns {Promise<Array>} [{ version, name, appliedAt }] with appliedAt null when pending
+ */
+export async function getMigrationStatus(db) {
+  const context = createContext(db)
+  const applied = await getAppliedVersions(context)
+  const migrations = await loadMigrations()
+
+  return migrations.map(({ version, name }) => ({
+    version,
+    name,
+    appliedAt: applied.get(version) || null
+  }))
+}
+
+/**
+ * Apply pending migrations in order
+ * @param {sqlite3.Database} db - Open connection
+ * @param {Object} options - { to } to stop after that version (default: all)
+ * @returns {Promise<Array>} Migrations applied, as [{ version, name }]
+ */
+export async function migrateUp(db, { to = Infinity } = {}) {
+  const context = createContext(db)
+  const applied = await getAppliedVersions(context)
+  const done = []
+
+  for (const migration of await loadMigrations()) {
+    if (applied.has(migration.version) || migration.version > to) continue
+
+    try {
+      await inTransaction(context, async () => {
+        await migration.up(context)
+        await context.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name])
+      })
+    } catch (error) {
+      console.error(`Error applying migration ${formatMigrationId(migration)}:`, error.message)
+      throw error
+    }
+    console.log(`📊 Applied migration ${formatMigrationId(migration)}`)
+    done.push({ version: migration.version, name: migration.name })
+  }
+  return done
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {sqlite3.Database} db - Open connection
+ * @param {Object} options - { steps } migrations to undo (default 1), or { to } to
+ *   undo everything above that version (0 undoes all)
+ * @returns {Promise<Array>} Migrations rolled back, as [{ version, name }]
+ */
+export async function migrateDown(db, { steps = 1, to = null } = {}) {
+  const context = createContext(db)
+  const applied = await getAppliedVersions(context)
+  const migrations = (await loadMigrations())
+    .filter(migration => applied.has(migration.version))
+    .reverse()
+  const undo = to === null ? migrations.slice(0, steps) : migrations.filter(migration => migration.version > to)
+  const done = []
+
+  for (const migration of undo) {
+    try {
+      await inTransaction(context, async () => {
+        await migration.down(context)
+        await context.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version])
+      })
+    } catch (error) {
+      console.error(`Error rolling back migration ${formatMigrationId(migration)}:`, error.message)
+      throw error
+    }
+    console.log(`📊 Rolled back migration ${formatMigrationId(migration)}`)
+    done.push({ version: migration.version, name: migration.name })
+  }
+  return done
+}
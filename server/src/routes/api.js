@@ -1,6 +1,9 @@
 import express from 'express';
 const router = express.Router();
-import { roomManager } from '../socket/roomManager.js';
+import { roomManager, DEFAULT_ROOM_ID } from '../socket/roomManager.js';
+import { getDefaultRoomSettings } from '../socket/roomSettings.js';
+import { getClockPayload } from '../socket/turnClock.js';
+import { getVotePayload } from '../socket/topicVoting.js';
 /**
  * GET /api/room/:roomId/state
  * Returns current room state including discussion status
@@ -13,26 +16,168 @@ router.get('/room/:roomId/state', (req, res) => {
       return res.status(404).json({ error: 'Room not found' });
     }
     // Serialize only safe discussion fields (avoid timer function reference)
-    const { active, topic, currentSpeakerIndex, speakingTime, timeRemaining, round, startedAt, endedAt } = room.discussion || {};
-    const discussion = { active, topic, currentSpeakerIndex, speakingTime, timeRemaining, round, startedAt, endedAt };
+    const { active, topic, strategy, currentSpeakerIndex, handQueue, speakingTime, round, startedAt, endedAt } = room.discussion || {};
+    const discussion = {
+      active, topic, strategy, currentSpeakerIndex, handQueue, speakingTime, round, startedAt, endedAt,
+      ...getClockPayload(room.discussion)
+    };
     // Use standard participant projection (includes socketId, readiness)
     const participants = roomManager.getRoomParticipants(roomId);
-    res.json({ participants, discussion });
+    res.json({ participants, discussion, settings: room.settings, topicVote: getVotePayload(room.topicVote) });
   } catch (error) {
     console.error('[api/room/:roomId/state] Error:', error.message, error.stack);
     res.status(500).json({ error: 'Failed to get room state' });
   }
 });
-// ...existing code...
+
+/**
+ * GET /api/rooms
+ * List rooms, optionally filtered by status (open | in-progress)
+ */
+router.get('/rooms', (req, res) => {
+  try {
+    const { status } = req.query
+    const rooms = roomManager.getAllRooms()
+      .filter(room => !status || room.status === status)
+
+    res.json({
+      success: true,
+      data: rooms,
+      count: rooms.length
+    })
+  } catch (error) {
+    console.error('Error listing rooms:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list rooms'
+    })
+  }
+})
+
+/**
+ * POST /api/rooms
+ * Create a room
+ * Body: { name, description, capacity, settings, createdBy }
+ * createdBy (the host) is only taken from admin requests; otherwise the first
+ * user to join hosts the room
+ */
+router.post('/rooms', (req, res) => {
+  let room
+  try {
+    const { name, description, capacity, settings } = req.body || {}
+    const createdBy = hasAdminKey(req) ? req.body.createdBy || null : null
+    room = roomManager.createRoom({ name, description, capacity, settings, createdBy })
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    })
+  }
+
+  res.status(201).json({
+    success: true,
+    data: roomManager.getRoomSummary(room.id)
+  })
+})
+
+/**
+ * GET /api/rooms/:roomId
+ * Get a room summary with its participants
+ */
+router.get('/rooms/:roomId', (req, res) => {
+  try {
+    const { roomId } = req.params
+    const summary = roomManager.getRoomSummary(roomId)
+
+    if (!summary) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: { ...summary, participants: roomManager.getRoomParticipants(roomId) }
+    })
+  } catch (error) {
+    console.error('Error getting room:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve room'
+    })
+  }
+})
+
+/**
+ * DELETE /api/rooms/:roomId
+ * Close a room (admin); any active discussion is ended and participants are notified
+ */
+router.delete('/rooms/:roomId', requireAdmin, (req, res) => {
+  try {
+    const { roomId } = req.params
+
+    if (roomId === DEFAULT_ROOM_ID) {
+      return res.status(400).json({
+        success: false,
+        error: 'The default room cannot be closed'
+      })
+    }
+
+    if (!roomManager.closeRoom(roomId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      message: 'Room closed'
+    })
+  } catch (error) {
+    console.error('Error closing room:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to close room'
+    })
+  }
+})
+
+import { timingSafeEqual } from 'crypto'
 import { 
-  getAllFallbackTopics, 
   generateDiscussionTopic, 
-  getTopicByCategory 
+  getTopicByCategory,
+  getTopicPoolStatus
 } from '../ai/topicGenerator.js'
+import { validateTopic, validateTopicFilters } from '../ai/topicSchema.js'
+import { getLLMProvider } from '../ai/providers/index.js'
+import { getProviderHealth } from '../ai/providerHealth.js'
+import { importTopics, toTransferTopic, topicsToCsv, MAX_IMPORT_ROWS } from '../ai/topicTransfer.js'
+import { parseCsvRecords, formatCsvRow } from '../utils/csv.js'
+import { verifyUserToken } from '../utils/userTokens.js'
 import {
   getSessionAnalytics,
   getTopicAnalytics,
-  getServerStats
+  getServerStats,
+  getTopics,
+  getTopicById,
+  getRandomTopic,
+  findTopicId,
+  createTopic,
+  updateTopic,
+  deleteTopic,
+  getSessionSummary,
+  getUserHistory,
+  saveFeedback,
+  getFeedbackAnalytics,
+  getSessionTimeseries,
+  getSessionHeatmap,
+  TIMESERIES_BUCKETS,
+  EXPORT_TABLES,
+  getExportColumns,
+  exportHasRoom,
+  exportRows
 } from '../database/database.js'
 
 /**
@@ -42,6 +187,84 @@ import {
 
 // Removed duplicate router declaration
 
+/**
+ * Check the request's admin key (x-admin-key header or Bearer token)
+ * @param {Request} req - Express request
+ * @returns {boolean} True if it matches ADMIN_API_KEY
+ */
+function hasAdminKey(req) {
+  const adminKey = process.env.ADMIN_API_KEY
+  if (!adminKey) return false
+
+  const bearer = req.get('authorization')?.replace(/^Bearer\s+/i, '')
+  const provided = Buffer.from(req.get('x-admin-key') || bearer || '')
+  const expected = Buffer.from(adminKey)
+  return provided.length === expected.length && timingSafeEqual(provided, expected)
+}
+
+/**
+ * Read topic filters from the query string
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response (a 400 is sent for invalid filters)
+ * @returns {Object|null} { category, audience, difficulty, language }, or null if invalid
+ */
+function readTopicFilters(req, res) {
+  try {
+    const { category, audience, difficulty, language } = req.query
+    return validateTopicFilters({ category, audience, difficulty, language })
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    })
+    return null
+  }
+}
+
+/**
+ * Middleware guarding a user's own data (routes with a :userId parameter)
+ * Allowed with the user's token from the 'user-token' socket event (x-user-token
+ * header) or the admin key.
+ */
+function requireSameUser(req, res, next) {
+  if (hasAdminKey(req)) return next()
+
+  const token = req.get('x-user-token')
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'A user token is required'
+    })
+  }
+  if (!verifyUserToken(req.params.userId, token)) {
+    return res.status(403).json({
+      success: false,
+      error: 'This token is not valid for that user'
+    })
+  }
+  next()
+}
+
+/**
+ * Middleware guarding admin-only endpoints
+ * Editing is disabled entirely when ADMIN_API_KEY is not set.
+ */
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_API_KEY) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin endpoints are disabled (ADMIN_API_KEY is not set)'
+    })
+  }
+  if (!hasAdminKey(req)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin key'
+    })
+  }
+  next()
+}
+
 /**
  * GET /api/health
  * Health check endpoint
@@ -56,11 +279,23 @@ router.get('/health', (req, res) => {
 
 /**
  * GET /api/topics
- * Get all available fallback topics
+ * List library topics
+ * Query: category, audience, difficulty, language, includeDisabled=true (admin key required)
  */
-router.get('/topics', (req, res) => {
+router.get('/topics', async (req, res) => {
   try {
-    const topics = getAllFallbackTopics()
+    const filters = readTopicFilters(req, res)
+    if (!filters) return
+
+    const includeDisabled = req.query.includeDisabled === 'true'
+    if (includeDisabled && !hasAdminKey(req)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Listing disabled topics requires the admin key'
+      })
+    }
+
+    const topics = await getTopics({ includeDisabled, ...filters })
     res.json({
       success: true,
       data: topics,
@@ -75,13 +310,48 @@ router.get('/topics', (req, res) => {
   }
 })
 
+/**
+ * GET /api/topics/random
+ * Pick a random enabled library topic
+ * Query: category, audience, difficulty, language
+ */
+router.get('/topics/random', async (req, res) => {
+  try {
+    const filters = readTopicFilters(req, res)
+    if (!filters) return
+
+    const topic = await getRandomTopic(filters)
+    if (!topic) {
+      return res.status(404).json({
+        success: false,
+        error: 'No topic matches these filters'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: topic
+    })
+  } catch (error) {
+    console.error('Error picking random topic:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve topic'
+    })
+  }
+})
+
 /**
  * GET /api/topics/generate
  * Generate a new discussion topic
+ * Query: category, audience, difficulty, language
  */
 router.get('/topics/generate', async (req, res) => {
   try {
-    const topic = await generateDiscussionTopic()
+    const filters = readTopicFilters(req, res)
+    if (!filters) return
+
+    const topic = await generateDiscussionTopic({ filters })
     res.json({
       success: true,
       data: topic
@@ -97,12 +367,16 @@ router.get('/topics/generate', async (req, res) => {
 
 /**
  * GET /api/topics/category/:category
- * Get topic by category
+ * Get a random topic in a category
+ * Query: audience, difficulty, language
  */
-router.get('/topics/category/:category', (req, res) => {
+router.get('/topics/category/:category', async (req, res) => {
   try {
+    const filters = readTopicFilters(req, res)
+    if (!filters) return
+
     const { category } = req.params
-    const topic = getTopicByCategory(category)
+    const topic = await getTopicByCategory(category, filters)
     
     if (!topic) {
       return res.status(404).json({
@@ -124,6 +398,241 @@ router.get('/topics/category/:category', (req, res) => {
   }
 })
 
+/**
+ * GET /api/topics/:id
+ * Get one library topic
+ */
+router.get('/topics/:id(\\d+)', async (req, res) => {
+  try {
+    const topic = await getTopicById(Number(req.params.id))
+
+    if (!topic || (!topic.enabled && !hasAdminKey(req))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Topic not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: topic
+    })
+  } catch (error) {
+    console.error('Error getting topic:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve topic'
+    })
+  }
+})
+
+/**
+ * POST /api/topics
+ * Add a topic to the library (admin)
+ * Body: { title, description, category, questions, tags, audience, difficulty, language, author, enabled }
+ */
+router.post('/topics', requireAdmin, async (req, res) => {
+  let topic
+  try {
+    topic = validateTopic(req.body)
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    })
+  }
+
+  try {
+    if (await findTopicId(topic.title, topic.category)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A topic with this title already exists in this category'
+      })
+    }
+
+    const id = await createTopic(topic)
+    res.status(201).json({
+      success: true,
+      data: await getTopicById(id)
+    })
+  } catch (error) {
+    console.error('Error creating topic:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create topic'
+    })
+  }
+})
+
+/**
+ * PUT /api/topics/:id
+ * Update a library topic (admin). Fields left out keep their current values.
+ */
+router.put('/topics/:id(\\d+)', requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id)
+    const existing = await getTopicById(id)
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Topic not found'
+      })
+    }
+
+    let topic
+    try {
+      topic = validateTopic({ ...existing, ...req.body })
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      })
+    }
+
+    const duplicateId = await findTopicId(topic.title, topic.category)
+    if (duplicateId && duplicateId !== id) {
+      return res.status(409).json({
+        success: false,
+        error: 'A topic with this title already exists in this category'
+      })
+    }
+
+    await updateTopic(id, topic)
+    res.json({
+      success: true,
+      data: await getTopicById(id)
+    })
+  } catch (error) {
+    console.error('Error updating topic:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update topic'
+    })
+  }
+})
+
+/**
+ * DELETE /api/topics/:id
+ * Remove a topic from the library (admin)
+ */
+router.delete('/topics/:id(\\d+)', requireAdmin, async (req, res) => {
+  try {
+    if (!(await deleteTopic(Number(req.params.id)))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Topic not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      message: 'Topic deleted'
+    })
+  } catch (error) {
+    console.error('Error deleting topic:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete topic'
+    })
+  }
+})
+
+/**
+ * GET /api/topics/export
+ * Download the topic library (admin), including disabled topics
+ * Query: format ('json' or 'csv', default json) and the topic filters
+ */
+router.get('/topics/export', requireAdmin, async (req, res) => {
+  try {
+    const filters = readTopicFilters(req, res)
+    if (!filters) return
+
+    const format = req.query.format || 'json'
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be json or csv'
+      })
+    }
+
+    // Usage-only rows (topics recorded from discussions) are not part of the library
+    const topics = (await getTopics({ includeDisabled: true, ...filters }))
+      .filter(topic => topic.updatedAt)
+      .map(toTransferTopic)
+
+    res.attachment(`topics.${format}`)
+    if (format === 'csv') {
+      res.type('text/csv').send(topicsToCsv(topics))
+    } else {
+      res.json(topics)
+    }
+  } catch (error) {
+    console.error('Error exporting topics:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export topics'
+    })
+  }
+})
+
+/**
+ * POST /api/topics/import
+ * Add topics to the library in bulk (admin)
+ * Body: a JSON array of topics (or { topics: [...] }), or CSV with Content-Type text/csv
+ * Query: dryRun=true to only validate, onDuplicate ('skip' or 'update', default skip)
+ */
+router.post('/topics/import', requireAdmin, express.text({ type: ['text/csv', 'application/csv'], limit: '1mb' }), async (req, res) => {
+  const dryRun = req.query.dryRun === 'true'
+  const onDuplicate = req.query.onDuplicate || 'skip'
+  if (!['skip', 'update'].includes(onDuplicate)) {
+    return res.status(400).json({
+      success: false,
+      error: 'onDuplicate must be skip or update'
+    })
+  }
+
+  let format = 'json'
+  let records = Array.isArray(req.body) ? req.body : req.body?.topics
+  if (typeof req.body === 'string') {
+    format = 'csv'
+    try {
+      records = parseCsvRecords(req.body)
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      })
+    }
+  }
+
+  if (!Array.isArray(records) || records.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Send a JSON array of topics or CSV with a header row and at least one topic'
+    })
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({
+      success: false,
+      error: `At most ${MAX_IMPORT_ROWS} topics can be imported at once`
+    })
+  }
+
+  try {
+    const report = await importTopics(records, { format, dryRun, onDuplicate })
+    res.json({
+      success: true,
+      data: report
+    })
+  } catch (error) {
+    console.error('Error importing topics:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import topics'
+    })
+  }
+})
+
 /**
  * GET /api/analytics/sessions
  * Get session analytics
@@ -147,6 +656,305 @@ router.get('/analytics/sessions', async (req, res) => {
   }
 })
 
+/**
+ * GET /api/sessions/:id/summary
+ * Get the summary written when a discussion ended
+ */
+router.get('/sessions/:id/summary', async (req, res) => {
+  try {
+    const session = await getSessionSummary(req.params.id)
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      })
+    }
+    if (!session.summary) {
+      return res.status(404).json({
+        success: false,
+        error: 'No summary yet (the discussion is still running or the summary is being written)'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: session
+    })
+  } catch (error) {
+    console.error('Error getting session summary:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve session summary'
+    })
+  }
+})
+
+/**
+ * GET /api/users/:userId/history
+ * One user's sessions, topics, speaking time and rounds attended (that user or admin)
+ * Query: limit (most recent sessions to list, default 20, max 100)
+ */
+router.get('/users/:userId/history', requireSameUser, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+    const history = await getUserHistory(req.params.userId, limit)
+    res.json({
+      success: true,
+      data: history
+    })
+  } catch (error) {
+    console.error('Error getting user history:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve user history'
+    })
+  }
+})
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Range covered when `from` is not given, per bucket
+const DEFAULT_TIMESERIES_SPANS = { hour: 2 * DAY_MS, day: 30 * DAY_MS, week: 12 * 7 * DAY_MS }
+const MAX_TIMESERIES_POINTS = 2000
+
+// Time series metric names and the point fields they select
+const TIMESERIES_METRICS = {
+  sessions: ['sessions'],
+  participants: ['participants'],
+  avgDuration: ['avgDurationSeconds'],
+  completionRate: ['completionRate', 'completedSessions']
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+/**
+ * Read an analytics time range from the query string
+ * `from` and `to` take ISO dates or ms timestamps (`to` is exclusive and defaults
+ * to now); `utcOffsetMinutes` sets the time zone of day and hour boundaries.
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response (a 400 is sent for an invalid range)
+ * @param {number|null} defaultSpanMs - Range length when `from` is not given, or
+ *   null to leave unset ends open (from and to stay null)
+ * @returns {Object|null} { from, to, utcOffsetMinutes }, or null if invalid
+ */
+function readTimeRange(req, res, defaultSpanMs) {
+  const parseTime = (value, name) => {
+    if (value === undefined || value === '') return null
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value)
+    if (Number.isNaN(time)) {
+      throw new Error(`${name} must be an ISO date or a timestamp in ms`)
+    }
+    return time
+  }
+
+  try {
+    const openEnded = defaultSpanMs === null
+    const to = parseTime(req.query.to, 'to') ?? (openEnded ? null : Date.now())
+    const from = parseTime(req.query.from, 'from') ?? (openEnded ? null : to - defaultSpanMs)
+    if (from !== null && to !== null && from >= to) {
+      throw new Error('from must be before to')
+    }
+    const utcOffsetMinutes = req.query.utcOffsetMinutes === undefined ? 0 : Number(req.query.utcOffsetMinutes)
+    if (!Number.isInteger(utcOffsetMinutes) || utcOffsetMinutes < -720 || utcOffsetMinutes > 840) {
+      throw new Error('utcOffsetMinutes must be a whole number from -720 to 840')
+    }
+    return { from, to, utcOffsetMinutes }
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    })
+    return null
+  }
+}
+
+/**
+ * GET /api/analytics/timeseries
+ * Sessions started, unique participants, average duration and completion rate over time
+ * Query: metric (sessions, participants, avgDuration, completionRate; comma separated,
+ * default all), bucket (hour, day or week; default day), from, to, utcOffsetMinutes
+ */
+router.get('/analytics/timeseries', async (req, res) => {
+  try {
+    const bucket = req.query.bucket || 'day'
+    if (!TIMESERIES_BUCKETS[bucket]) {
+      return res.status(400).json({
+        success: false,
+        error: `bucket must be one of ${Object.keys(TIMESERIES_BUCKETS).join(', ')}`
+      })
+    }
+
+    const metrics = req.query.metric ? req.query.metric.split(',').map(name => name.trim()) : Object.keys(TIMESERIES_METRICS)
+    const unknown = metrics.find(name => !TIMESERIES_METRICS[name])
+    if (unknown) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown metric "${unknown}" (expected ${Object.keys(TIMESERIES_METRICS).join(', ')})`
+      })
+    }
+
+    const range = readTimeRange(req, res, DEFAULT_TIMESERIES_SPANS[bucket])
+    if (!range) return
+    if ((range.to - range.from) / TIMESERIES_BUCKETS[bucket] > MAX_TIMESERIES_POINTS) {
+      return res.status(400).json({
+        success: false,
+        error: `Range is too long for ${bucket} buckets (at most ${MAX_TIMESERIES_POINTS} points)`
+      })
+    }
+
+    const fields = metrics.flatMap(name => TIMESERIES_METRICS[name])
+    const points = (await getSessionTimeseries({ bucket, ...range }))
+      .map(point => Object.fromEntries([['start', point.start], ...fields.map(field => [field, point[field]])]))
+
+    res.json({
+      success: true,
+      data: {
+        bucket,
+        from: new Date(range.from).toISOString(),
+        to: new Date(range.to).toISOString(),
+        utcOffsetMinutes: range.utcOffsetMinutes,
+        metrics,
+        points
+      }
+    })
+  } catch (error) {
+    console.error('Error getting session timeseries:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve timeseries'
+    })
+  }
+})
+
+/**
+ * GET /api/analytics/heatmap
+ * Sessions started by weekday and hour, to see peak hours
+ * Query: from, to (default the last 4 weeks), utcOffsetMinutes
+ */
+router.get('/analytics/heatmap', async (req, res) => {
+  try {
+    const range = readTimeRange(req, res, 28 * DAY_MS)
+    if (!range) return
+
+    const { sessions, participants } = await getSessionHeatmap(range)
+    const peaks = sessions
+      .flatMap((hours, weekday) => hours.map((count, hour) => ({
+        weekday: WEEKDAYS[weekday],
+        hour,
+        sessions: count,
+        participants: participants[weekday][hour]
+      })))
+      .filter(cell => cell.sessions > 0)
+      .sort((a, b) => b.sessions - a.sessions || b.participants - a.participants)
+      .slice(0, 5)
+
+    res.json({
+      success: true,
+      data: {
+        from: new Date(range.from).toISOString(),
+        to: new Date(range.to).toISOString(),
+        utcOffsetMinutes: range.utcOffsetMinutes,
+        weekdays: WEEKDAYS,
+        sessions,
+        participants,
+        peaks
+      }
+    })
+  } catch (error) {
+    console.error('Error getting session heatmap:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve heatmap'
+    })
+  }
+})
+
+// Export formats and their content types
+const EXPORT_FORMATS = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+}
+
+/**
+ * GET /api/export/:table
+ * Stream a whole table as CSV or NDJSON (admin)
+ * Tables: sessions, participants, topics, feedback
+ * Query: format (csv or ndjson, default csv), from, to (session start, or topic
+ * creation for topics), roomId (not for topics)
+ */
+router.get('/export/:table', requireAdmin, async (req, res) => {
+  const { table } = req.params
+  if (!EXPORT_TABLES.includes(table)) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown export "${table}" (expected ${EXPORT_TABLES.join(', ')})`
+    })
+  }
+
+  const format = req.query.format || 'csv'
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    })
+  }
+  if (req.query.roomId && !exportHasRoom(table)) {
+    return res.status(400).json({
+      success: false,
+      error: `roomId does not apply to ${table}`
+    })
+  }
+
+  const range = readTimeRange(req, res, null)
+  if (!range) return
+
+  let closed = false
+  res.on('close', () => {
+    closed = true
+  })
+
+  // Wait for the client to catch up when the socket buffer is full
+  const write = (chunk) => {
+    if (res.write(chunk)) return Promise.resolve()
+    return new Promise(resolve => {
+      res.once('drain', resolve)
+      res.once('close', resolve)
+    })
+  }
+
+  try {
+    const columns = getExportColumns(table)
+    const rows = exportRows(table, { from: range.from, to: range.to, roomId: req.query.roomId || null })
+
+    // attachment() guesses a type from the extension, which it does not know for .ndjson
+    res.attachment(`${table}.${format}`)
+    res.type(EXPORT_FORMATS[format])
+    if (format === 'csv') {
+      await write(formatCsvRow(columns))
+    }
+
+    for await (const page of rows) {
+      if (closed) break
+      const chunk = format === 'csv'
+        ? page.map(row => formatCsvRow(columns.map(column => row[column]))).join('')
+        : page.map(row => `${JSON.stringify(row)}\n`).join('')
+      await write(chunk)
+    }
+    res.end()
+  } catch (error) {
+    console.error(`Error exporting ${table}:`, error)
+    if (res.headersSent) {
+      // Part of the file is already out; cut it off so it is not mistaken for a complete export
+      res.destroy(error)
+      return
+    }
+    res.status(500).json({
+      success: false,
+      error: `Failed to export ${table}`
+    })
+  }
+})
+
 /**
  * GET /api/analytics/topics
  * Get topic usage analytics
@@ -190,24 +998,66 @@ router.get('/analytics/stats', async (req, res) => {
   }
 })
 
+const MAX_FEEDBACK_COMMENT_LENGTH = 1000
+
+/**
+ * Validate a feedback submission
+ * @param {Object} body - { sessionId, userId, rating, comment } (session_id and user_id are also accepted)
+ * @returns {Object} Normalized feedback
+ */
+function validateFeedback(body = {}) {
+  const sessionId = body.sessionId ?? body.session_id
+  const userId = body.userId ?? body.user_id ?? null
+  const { rating, comment } = body
+
+  if (typeof sessionId !== 'string' || !sessionId.trim()) {
+    throw new Error('sessionId is required')
+  }
+  if (userId !== null && (typeof userId !== 'string' || !userId.trim())) {
+    throw new Error('userId must be a non-empty string')
+  }
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new Error('rating must be a whole number from 1 to 5')
+  }
+  if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+    throw new Error('comment must be a string')
+  }
+  const text = (comment || '').trim()
+  if (text.length > MAX_FEEDBACK_COMMENT_LENGTH) {
+    throw new Error(`comment must be at most ${MAX_FEEDBACK_COMMENT_LENGTH} characters`)
+  }
+
+  return { sessionId, userId, rating, comment: text || null }
+}
+
 /**
  * POST /api/feedback
- * Submit user feedback (placeholder for future enhancement)
+ * Rate a discussion session; submitting again for the same session replaces the earlier feedback
+ * Body: { sessionId, userId, rating (1-5), comment }
  */
-router.post('/feedback', (req, res) => {
+router.post('/feedback', async (req, res) => {
+  let feedback
   try {
-    const { rating, comment, session_id } = req.body
-    
-    // Log feedback (in production, save to database)
-    console.log('Feedback received:', {
-      rating,
-      comment: comment?.substring(0, 100),
-      session_id,
-      timestamp: new Date()
+    feedback = validateFeedback(req.body)
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
     })
-    
-    res.json({
+  }
+
+  try {
+    if (!(await getSessionSummary(feedback.sessionId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      })
+    }
+
+    await saveFeedback(feedback)
+    res.status(201).json({
       success: true,
+      data: feedback,
       message: 'Feedback received successfully'
     })
   } catch (error) {
@@ -219,20 +1069,47 @@ router.post('/feedback', (req, res) => {
   }
 })
 
+/**
+ * GET /api/analytics/feedback
+ * Feedback ratings overall, per session and per topic, with recent comments (admin)
+ * Query: limit (sessions, topics and comments to list, default 20, max 100)
+ */
+router.get('/analytics/feedback', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+    res.json({
+      success: true,
+      data: await getFeedbackAnalytics(limit)
+    })
+  } catch (error) {
+    console.error('Error getting feedback analytics:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve feedback analytics'
+    })
+  }
+})
+
 /**
  * GET /api/config
  * Get public configuration
  */
 router.get('/config', (req, res) => {
   try {
-    // Build config object
+    // Build config object (room defaults; each room can override these)
+    const defaults = getDefaultRoomSettings()
+    const { state, available, retryAt } = getProviderHealth(getLLMProvider())
     const config = {
-      minParticipants: parseInt(process.env.MIN_PARTICIPANTS) || 1,
-      maxParticipants: parseInt(process.env.MAX_PARTICIPANTS) || 8,
-      defaultSpeakingTime: parseInt(process.env.DEFAULT_SPEAKING_TIME) || 60,
+      minParticipants: defaults.minParticipants,
+      maxParticipants: defaults.maxParticipants,
+      defaultSpeakingTime: defaults.speakingTime,
+      defaultRoomSettings: defaults,
       features: {
-        aiTopics: !!process.env.HUGGINGFACE_API_KEY && 
-                  process.env.HUGGINGFACE_API_KEY !== 'your_huggingface_api_key_here',
+        // False while the provider is skipped after repeated failures
+        aiTopics: available,
+        // Error details stay in the logs and GET /api/ai/health (admin)
+        aiProvider: { state, available, retryAt },
+        aiTopicPool: getTopicPoolStatus(),
         analytics: true,
         feedback: true
       }
@@ -263,6 +1140,28 @@ router.get('/config', (req, res) => {
   }
 })
 
+/**
+ * GET /api/ai/health
+ * LLM provider health, including the last error, and the AI topic pool (admin)
+ */
+router.get('/ai/health', requireAdmin, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        provider: getProviderHealth(getLLMProvider()),
+        topicPool: getTopicPoolStatus()
+      }
+    })
+  } catch (error) {
+    console.error('Error getting AI health:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve AI health'
+    })
+  }
+})
+
 /**
  * Error handling middleware for API routes
  */
@@ -9,7 +9,11 @@ import { dirname, join } from 'path'
 
 // Import our modules
 import { setupSocketHandlers } from './socket/socketHandlers.js'
+import { roomManager, DEFAULT_ROOM_ID } from './socket/roomManager.js'
 import { initializeDatabase } from './database/database.js'
+import { createRoomStore } from './socket/roomStore.js'
+import { getDefaultRoomSettings } from './socket/roomSettings.js'
+import { seedTopicLibrary, startTopicPool, stopTopicPool } from './ai/topicGenerator.js'
 import apiRoutes from './routes/api.js'
 
 // Load environment variables
@@ -92,7 +96,8 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json())
+// Topic imports can be large
+app.use(express.json({ limit: '1mb' }))
 app.use(express.urlencoded({ extended: true }))
 
 // Routes
@@ -147,11 +152,26 @@ async function startServer() {
     // Initialize database
     console.log('🗄️ Initializing database...')
     await initializeDatabase()
+    await seedTopicLibrary()
+    startTopicPool(getDefaultRoomSettings().locale)
+    
+    // Restore rooms from the configured room store (ROOM_STORAGE)
+    roomManager.useStore(createRoomStore())
+    await roomManager.restore()
     
     // Setup Socket.io handlers
     console.log('🔌 Setting up Socket.io handlers...')
     setupSocketHandlers(io)
     
+    // Create the always-available default room
+    if (!roomManager.getRoom(DEFAULT_ROOM_ID)) {
+      roomManager.createRoom({
+        id: DEFAULT_ROOM_ID,
+        name: 'General Discussion',
+        description: 'Open room for everyone'
+      })
+    }
+    
     // Start the server
     server.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`)
@@ -173,6 +193,7 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received, shutting down gracefully...')
+  stopTopicPool()
   server.close(() => {
     console.log('✅ Server closed')
     process.exit(0)
@@ -181,6 +202,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('🛑 SIGINT received, shutting down gracefully...')
+  stopTopicPool()
   server.close(() => {
     console.log('✅ Server closed')
     process.exit(0)
@@ -0,0 +1,275 @@
+/**
+ * Socket Event Schemas
+ * One declarative schema per client→server event. Each schema lists the
+ * event's positional arguments; validateEvent checks an incoming packet
+ * against it and returns normalized arguments (defaults applied, strings
+ * trimmed, unknown fields dropped) so handlers only ever see typed data.
+ *
+ * Argument rules:
+ * - type: 'string' | 'integer' | 'boolean' | 'object' | 'array'
+ * - optional: missing or null values are allowed (replaced by `default`)
+ * - string: maxLength, enum; empty strings count as missing. raw: true skips
+ *   trimming for opaque values such as SDP, which must be relayed unchanged
+ * - integer: min, max
+ * - object: fields (nested rules; other keys are dropped). Without fields
+ *   the object is passed through as-is for the handler to validate.
+ * - array: items (rule for each entry; missing entries are dropped), maxItems
+ * - check(value): extra test on the normalized value, returns an error message
+ */
+
+// Bounds for a single extend-speaker-time request (seconds)
+export const MAX_TIME_EXTENSION = 300
+export const DEFAULT_TIME_EXTENSION = 30
+
+const MAX_ID_LENGTH = 100
+const MAX_NAME_LENGTH = 100
+const MAX_MESSAGE_LENGTH = 1000
+const MAX_SDP_LENGTH = 64 * 1024
+const MAX_PROPOSAL_QUESTIONS = 10
+const MAX_QUESTION_LENGTH = 300
+
+const id = { type: 'string', maxLength: MAX_ID_LENGTH }
+const optionalText = { type: 'string', maxLength: MAX_NAME_LENGTH, optional: true }
+const role = { type: 'string', enum: ['speaker', 'listener'] }
+// SDP must keep its trailing CRLF, so it is never trimmed
+const sdp = { type: 'string', raw: true, maxLength: MAX_SDP_LENGTH, optional: true }
+
+/**
+ * Payload naming a target participant, e.g. { userId }
+ */
+const targetUser = { type: 'object', fields: { userId: id } }
+
+/**
+ * WebRTC signaling payload. The main app addresses peers with `to` and sends
+ * raw SDP strings; the broadcast test uses `targetSocketId` with full
+ * offer/answer objects. Either shape is accepted, but a target is required.
+ * @param {Object} fields - Signal-specific fields
+ * @returns {Object} Argument rule
+ */
+const signal = (fields) => ({
+  type: 'object',
+  fields: {
+    to: { ...id, optional: true },
+    targetSocketId: { ...id, optional: true },
+    ...fields
+  },
+  check: value => (value.to || value.targetSocketId ? null : 'to or targetSocketId is required')
+})
+
+const EVENT_SCHEMAS = {
+  'join-room': [
+    { ...id, optional: true, default: 'general' },
+    {
+      type: 'object',
+      optional: true,
+      fields: {
+        userId: { ...id, optional: true },
+        name: optionalText,
+        campus: optionalText,
+        location: optionalText,
+        anonymousName: optionalText,
+        role: { ...role, optional: true, default: 'listener' }
+      }
+    }
+  ],
+  'leave-room': [],
+  'user-ready': [],
+  'raise-hand': [],
+  'lower-hand': [],
+  'message': [{ type: 'string', maxLength: MAX_MESSAGE_LENGTH }],
+  'propose-topic': [
+    {
+      type: 'object',
+      fields: {
+        title: { type: 'string', maxLength: 120 },
+        description: { type: 'string', maxLength: 500, optional: true },
+        category: { type: 'string', maxLength: 50, optional: true, default: 'General' },
+        // Prompts for each round, as in the topic library
+        questions: {
+          type: 'array',
+          items: { type: 'string', maxLength: MAX_QUESTION_LENGTH, optional: true },
+          maxItems: MAX_PROPOSAL_QUESTIONS,
+          optional: true
+        }
+      }
+    }
+  ],
+  'vote-topic': [{ type: 'object', fields: { candidateId: id } }],
+  'role-change': [
+    {
+      type: 'object',
+      fields: {
+        userId: id,
+        newRole: role,
+        roomId: { ...id, optional: true }
+      }
+    }
+  ],
+
+  // Host controls
+  'next-speaker': [],
+  'update-room-settings': [{ type: 'object' }],
+  'start-discussion-manual': [],
+  'end-discussion': [],
+  'pause-discussion': [],
+  'resume-discussion': [],
+  'extend-speaker-time': [
+    {
+      type: 'object',
+      optional: true,
+      default: {},
+      fields: {
+        seconds: { type: 'integer', min: 1, max: MAX_TIME_EXTENSION, optional: true, default: DEFAULT_TIME_EXTENSION }
+      }
+    }
+  ],
+  'transfer-host': [targetUser],
+  'kick-participant': [targetUser],
+  'mute-participant': [targetUser],
+
+  // WebRTC signaling
+  'ready-for-webrtc': [],
+  'webrtc-offer': [signal({ sdp, offer: { type: 'object', optional: true } })],
+  'webrtc-answer': [signal({ sdp, answer: { type: 'object', optional: true } })],
+  'webrtc-ice-candidate': [signal({ candidate: { type: 'object', optional: true } })],
+
+  // Broadcast test page
+  'join-broadcast-test': [],
+  'broadcaster-ready': [],
+  'reset-broadcast-test': []
+}
+
+/**
+ * Thrown when an event or its payload does not match its schema
+ */
+export class EventValidationError extends Error {
+  /**
+   * @param {string} message - What was wrong with the payload
+   * @param {boolean} unknownEvent - True if the event has no schema
+   */
+  constructor(message, unknownEvent = false) {
+    super(message)
+    this.name = 'EventValidationError'
+    this.unknownEvent = unknownEvent
+  }
+}
+
+/**
+ * Check whether a value counts as "not provided"
+ * @param {*} value - Raw value
+ * @param {Object} rule - Argument rule (raw strings only count as missing when empty)
+ * @returns {boolean} True for undefined, null and blank strings
+ */
+function isMissing(value, rule) {
+  if (value === undefined || value === null) return true
+  return typeof value === 'string' && (rule.raw ? value : value.trim()) === ''
+}
+
+/**
+ * Validate and normalize a single value against a rule
+ * @param {Object} rule - Argument rule
+ * @param {*} value - Raw value
+ * @param {string} path - Name used in error messages
+ * @returns {*} Normalized value
+ */
+function validateValue(rule, value, path) {
+  if (isMissing(value, rule)) {
+    if (!rule.optional) {
+      throw new EventValidationError(`${path} is required`)
+    }
+    // Object defaults still go through their field rules below
+    if (rule.type !== 'object' || rule.default === undefined) {
+      return rule.default
+    }
+    value = rule.default
+  }
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') {
+        throw new EventValidationError(`${path} must be a string`)
+      }
+      const text = rule.raw ? value : value.trim()
+      if (rule.maxLength && text.length > rule.maxLength) {
+        throw new EventValidationError(`${path} must be at most ${rule.maxLength} characters`)
+      }
+      if (rule.enum && !rule.enum.includes(text)) {
+        throw new EventValidationError(`${path} must be one of ${rule.enum.join(', ')}`)
+      }
+      return text
+    }
+
+    case 'integer':
+      if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+        throw new EventValidationError(`${path} must be a whole number between ${rule.min} and ${rule.max}`)
+      }
+      return value
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw new EventValidationError(`${path} must be true or false`)
+      }
+      return value
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new EventValidationError(`${path} must be an object`)
+      }
+      if (!rule.fields) return { ...value }
+
+      const normalized = {}
+      for (const [key, fieldRule] of Object.entries(rule.fields)) {
+        const fieldValue = validateValue(fieldRule, value[key], `${path}.${key}`)
+        if (fieldValue !== undefined) {
+          normalized[key] = fieldValue
+        }
+      }
+      return normalized
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        throw new EventValidationError(`${path} must be an array`)
+      }
+      const items = value
+        .map((item, index) => validateValue(rule.items, item, `${path}[${index}]`))
+        .filter(item => item !== undefined)
+      if (rule.maxItems && items.length > rule.maxItems) {
+        throw new EventValidationError(`${path} can have at most ${rule.maxItems} entries`)
+      }
+      return items
+    }
+
+    default:
+      return value
+  }
+}
+
+/**
+ * Validate an inbound event's arguments
+ * Extra arguments beyond the schema are dropped; a trailing acknowledgement
+ * callback is kept.
+ * @param {string} event - Event name
+ * @param {Array} args - Arguments sent by the client
+ * @returns {Array} Normalized arguments
+ */
+export function validateEvent(event, args) {
+  const schema = EVENT_SCHEMAS[event]
+  if (!schema) {
+    throw new EventValidationError(`Unknown event: ${event}`, true)
+  }
+
+  const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null
+  const values = ack ? args.slice(0, -1) : args
+  const normalized = schema.map((rule, index) => {
+    const path = schema.length === 1 ? 'payload' : `argument ${index + 1}`
+    const value = validateValue(rule, values[index], path)
+    const problem = value !== undefined && rule.check ? rule.check(value) : null
+    if (problem) {
+      throw new EventValidationError(problem)
+    }
+    return value
+  })
+
+  return ack ? [...normalized, ack] : normalized
+}
@@ -0,0 +1,106 @@
+/**
+ * Participation Ledger
+ * Tracks how much each participant spoke during one discussion:
+ * speaking seconds, turns taken, and when they joined and left.
+ * The ledger is a plain object keyed by user id so it can live on
+ * room.discussion alongside the rest of the discussion state.
+ */
+
+/**
+ * Create a ledger for the participants present at discussion start
+ * @param {Array} participants - Room participants
+ * @returns {Object} Ledger keyed by user id
+ */
+export function createLedger(participants) {
+  const ledger = {}
+  participants.forEach(participant => recordJoin(ledger, participant))
+  return ledger
+}
+
+/**
+ * Record a participant joining (or rejoining) the discussion
+ * @param {Object} ledger - Participation ledger
+ * @param {Object} participant - Room participant
+ */
+export function recordJoin(ledger, participant) {
+  const entry = ledger[participant.id]
+  if (entry) {
+    entry.leftAt = null
+    return
+  }
+
+  ledger[participant.id] = {
+    userId: participant.id,
+    anonymousName: participant.anonymousName,
+    campus: participant.campus,
+    location: participant.location,
+    joinedAt: participant.joinedAt || new Date(),
+    leftAt: null,
+    speakingSeconds: 0,
+    turns: 0
+  }
+}
+
+/**
+ * Record a participant leaving the discussion
+ * @param {Object} ledger - Participation ledger
+ * @param {string} userId - User identifier
+ * @param {Date} at - When they left
+ */
+export function recordLeave(ledger, userId, at = new Date()) {
+  if (ledger[userId]) {
+    ledger[userId].leftAt = at
+  }
+}
+
+/**
+ * Record the start of a speaking turn
+ * @param {Object} ledger - Participation ledger
+ * @param {string} userId - Speaker id
+ */
+export function beginTurn(ledger, userId) {
+  if (ledger[userId]) {
+    ledger[userId].turns++
+  }
+}
+
+/**
+ * Credit a speaker with time used on their turn
+ * @param {Object} ledger - Participation ledger
+ * @param {string} userId - Speaker id
+ * @param {number} seconds - Seconds spoken
+ */
+export function endTurn(ledger, userId, seconds) {
+  if (ledger[userId] && seconds > 0) {
+    ledger[userId].speakingSeconds += seconds
+  }
+}
+
+/**
+ * Get total speaking seconds for a user
+ * @param {Object} ledger - Participation ledger
+ * @param {string} userId - User identifier
+ * @returns {number} Seconds spoken so far
+ */
+export function getSpeakingSeconds(ledger, userId) {
+  return ledger?.[userId]?.speakingSeconds || 0
+}
+
+/**
+ * Convert the ledger into rows for the participants table
+ * @param {Object} ledger - Participation ledger
+ * @param {Date} endedAt - Discussion end time (used for anyone still present)
+ * @returns {Array} Participant records ready for saveParticipant
+ */
+export function toParticipantRecords(ledger, endedAt) {
+  return Object.values(ledger).map(entry => ({
+    userId: entry.userId,
+    anonymousName: entry.anonymousName,
+    campus: entry.campus,
+    location: entry.location,
+    joinedAt: entry.joinedAt,
+    leftAt: entry.leftAt || endedAt,
+    speakingTimeSeconds: entry.speakingSeconds,
+    turnsTaken: entry.turns
+  }))
+}
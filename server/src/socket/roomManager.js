@@ -1,51 +1,190 @@
+import { EventEmitter } from 'events'
+import { v4 as uuidv4 } from 'uuid'
+import { getDefaultRoomSettings, mergeRoomSettings } from './roomSettings.js'
+import { getTimeRemaining } from './turnClock.js'
+import { MemoryRoomStore } from './roomStore.js'
+import { createTopicVote } from './topicVoting.js'
+
 /**
  * Room Manager
- * Manages discussion rooms and participants
+ * Manages discussion rooms and participants.
+ * Room state lives in a room store (see roomStore.js); anything that changes a
+ * room outside this class should call saveRoom() so persistent stores pick it up.
+ *
+ * Events:
+ * - 'room-closed' (room) - emitted just before a room is removed
+ * - 'host-changed' (room) - emitted when room.hostId changes
  */
 
-class RoomManager {
+export const DEFAULT_ROOM_ID = 'general'
+
+class RoomManager extends EventEmitter {
   // Internal flag to prevent cleanup during addUserToRoom
   _skipCleanup = false;
-  constructor() {
-    this.rooms = new Map()
+  constructor(store = new MemoryRoomStore()) {
+    super()
+    this.store = store
+  }
+
+  /**
+   * Switch to another room store (before any rooms are created)
+   * @param {MemoryRoomStore} store - Room store
+   */
+  useStore(store) {
+    this.store = store
+  }
+
+  /**
+   * Rebuild rooms saved by a persistent store.
+   * Nobody is connected after a restart, so every participant starts out reconnecting
+   * with a fresh grace window (downtime does not count against them).
+   * @returns {Array} Restored rooms
+   */
+  async restore() {
+    const rooms = await this.store.load()
+    const now = new Date()
+
+    rooms.forEach(room => {
+      room.participants.forEach(participant => {
+        participant.status = 'reconnecting'
+        participant.disconnectedAt = now
+      })
+      this.saveRoom(room.id)
+    })
+
+    if (rooms.length > 0) {
+      console.log(`♻️ Restored ${rooms.length} room(s) from storage`)
+    }
+    return rooms
   }
 
   /**
-   * Get or create a room
+   * Record that a room changed so persistent stores save it
    * @param {string} roomId - Room identifier
+   */
+  saveRoom(roomId) {
+    const room = this.getRoom(roomId)
+    if (room) this.store.persist(room)
+  }
+
+  /**
+   * Create a new room
+   * @param {Object} options - { id, name, description, capacity, settings, createdBy }
    * @returns {Object} Room object
    */
+  createRoom({ id, name, description = '', capacity, settings = {}, createdBy = null } = {}) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 60) {
+      throw new Error('Room name is required (max 60 characters)')
+    }
+    if (typeof description !== 'string' || description.length > 300) {
+      throw new Error('Room description must be at most 300 characters')
+    }
+
+    const roomId = id || `${slugify(name)}-${uuidv4().slice(0, 6)}`
+    if (this.store.has(roomId)) {
+      throw new Error(`Room ${roomId} already exists`)
+    }
+
+    const requested = {
+      ...settings,
+      ...(capacity !== undefined && { maxParticipants: capacity })
+    }
+    const defaults = getDefaultRoomSettings()
+    // Small rooms get a default speaker limit that fits them
+    if (requested.maxSpeakers === undefined && Number.isInteger(Number(requested.maxParticipants))) {
+      defaults.maxSpeakers = Math.max(1, Math.min(defaults.maxSpeakers, Number(requested.maxParticipants)))
+    }
+    const roomSettings = mergeRoomSettings(defaults, requested)
+
+    this.store.set({
+      id: roomId,
+      name: name.trim(),
+      description: description.trim(),
+      createdBy,
+      // The creator hosts the room; rooms without one get the first joiner
+      hostId: createdBy,
+      participants: [],
+      settings: roomSettings,
+      topicVote: createTopicVote(),
+      discussion: {
+        active: false,
+        topic: null,
+        strategy: null,
+        currentSpeakerIndex: 0,
+        pendingSpeakers: null,
+        handQueue: [],
+        currentSpeakerId: null,
+        participation: {},
+        speakingTime: roomSettings.speakingTime,
+        turnDuration: roomSettings.speakingTime,
+        turnStartedAt: null,
+        turnEndsAt: null,
+        remainingMs: null,
+        paused: false,
+        pausedAt: null,
+        round: 1,
+        timer: null,
+        startedAt: null,
+        endedAt: null
+      },
+      createdAt: new Date()
+    })
+
+    console.log(`🏠 Created room ${roomId} (${name})`)
+    return this.store.get(roomId)
+  }
+
+  /**
+   * Get a room
+   * @param {string} roomId - Room identifier
+   * @returns {Object|null} Room object or null if it does not exist
+   */
   getRoom(roomId) {
-    if (!this.rooms.has(roomId)) {
-      this.rooms.set(roomId, {
-        id: roomId,
-        participants: [],
-        discussion: {
-          active: false,
-          topic: null,
-          currentSpeakerIndex: 0,
-          speakingTime: 60,
-          timeRemaining: 0,
-          round: 1,
-          timer: null,
-          startedAt: null,
-          endedAt: null
-        },
-        createdAt: new Date()
-      })
+    return this.store.get(roomId) || null
+  }
+
+  /**
+   * Close a room, removing it and its participants
+   * @param {string} roomId - Room identifier
+   * @returns {boolean} True if a room was closed
+   */
+  closeRoom(roomId) {
+    const room = this.store.get(roomId)
+    if (!room) return false
+
+    // Let socket handlers end the discussion and notify clients first
+    this.emit('room-closed', room)
+
+    if (room.discussion.timer) {
+      clearTimeout(room.discussion.timer)
     }
-    return this.rooms.get(roomId)
+    this.store.delete(roomId)
+    console.log(`🚪 Closed room ${roomId}`)
+    return true
   }
 
   /**
    * Add user to room
    * @param {string} roomId - Room identifier
    * @param {Object} userData - User data
+   * @returns {boolean} False if the room does not exist
    */
   addUserToRoom(roomId, userData) {
     const room = this.getRoom(roomId)
+    if (!room) return false
+
+    // A participant holding a seat after a dropped connection gets it back in place
+    const held = room.participants.find(p => p.id === userData.id && p.status === 'reconnecting')
+    if (held) {
+      held.socketId = userData.socketId
+      held.status = 'connected'
+      held.disconnectedAt = null
+      console.log(`🔌 ${held.anonymousName} reconnected to room ${roomId}`)
+      this.saveRoom(roomId)
+      return true
+    }
+
     // Remove user if already in room (reconnection)
-  const wasInRoom = room.participants.some(p => p.id === userData.id);
   this._skipCleanup = true;
   this.removeUserFromRoom(roomId, userData.id);
   this._skipCleanup = false;
@@ -59,10 +198,15 @@ class RoomManager {
       location: userData.location,
       role: userData.role || 'listener', // Default to listener
       isReady: userData.isReady || false,
+      status: 'connected',
+      disconnectedAt: null,
       joinedAt: userData.joinedAt || new Date()
     })
     console.log(`➕ Added ${userData.anonymousName} to room ${roomId}. Total: ${room.participants.length}`)
+    if (!room.hostId) this.transferHost(roomId, userData.id)
+    this.saveRoom(roomId)
     // Do NOT clean up room after adding user
+    return true
   }
 
   /**
@@ -72,15 +216,18 @@ class RoomManager {
    */
   removeUserFromRoom(roomId, userId) {
     const room = this.getRoom(roomId)
+    if (!room) return
     const initialCount = room.participants.length
     
     room.participants = room.participants.filter(p => p.id !== userId)
     
     if (room.participants.length !== initialCount) {
       console.log(`➖ Removed user ${userId} from room ${roomId}. Remaining: ${room.participants.length}`)
+      if (userId === room.hostId && !this._skipCleanup) this.reassignHost(roomId)
+      this.saveRoom(roomId)
     }
 
-    // Clean up empty rooms
+    // Release resources held by empty rooms
     if (room.participants.length === 0 && !this._skipCleanup) {
       this.cleanupRoom(roomId)
     }
@@ -94,14 +241,103 @@ class RoomManager {
    */
   updateUser(roomId, userId, updates) {
     const room = this.getRoom(roomId)
-    const user = room.participants.find(p => p.id === userId)
+    const user = room?.participants.find(p => p.id === userId)
     
     if (user) {
       Object.assign(user, updates)
       console.log(`🔄 Updated user ${userId} in room ${roomId}:`, updates)
+      this.saveRoom(roomId)
     }
   }
 
+  /**
+   * Hold a disconnected participant's seat until they reconnect or the grace window ends.
+   * Their position, role, readiness and host status are kept.
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User identifier
+   * @returns {Object|null} The participant, or null if not in the room
+   */
+  markReconnecting(roomId, userId) {
+    const participant = this.getRoom(roomId)?.participants.find(p => p.id === userId)
+    if (!participant) return null
+
+    participant.status = 'reconnecting'
+    participant.disconnectedAt = new Date()
+    console.log(`📴 Holding seat for ${participant.anonymousName} in room ${roomId}`)
+    this.saveRoom(roomId)
+    return participant
+  }
+
+  /**
+   * Check whether a user hosts a room
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User identifier
+   * @returns {boolean} True if the user is the host
+   */
+  isHost(roomId, userId) {
+    const room = this.getRoom(roomId)
+    return !!room && !!userId && room.hostId === userId
+  }
+
+  /**
+   * Hand the host role to another participant
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - New host (must be in the room)
+   * @returns {boolean} Success status
+   */
+  transferHost(roomId, userId) {
+    const room = this.getRoom(roomId)
+    if (!room || !room.participants.some(p => p.id === userId)) {
+      return false
+    }
+
+    room.hostId = userId
+    console.log(`👑 ${userId} is now host of room ${roomId}`)
+    this.saveRoom(roomId)
+    this.emit('host-changed', room)
+    return true
+  }
+
+  /**
+   * Pick a new host after the host leaves.
+   * The longest-present participant takes over; an empty room waits for its next joiner.
+   * @param {string} roomId - Room identifier
+   */
+  reassignHost(roomId) {
+    const room = this.getRoom(roomId)
+    if (!room) return
+
+    if (room.participants.length > 0) {
+      this.transferHost(roomId, room.participants[0].id)
+    } else {
+      room.hostId = null
+      this.saveRoom(roomId)
+      this.emit('host-changed', room)
+    }
+  }
+
+  /**
+   * Update room settings
+   * @param {string} roomId - Room identifier
+   * @param {Object} updates - Settings to change
+   * @returns {Object} Updated settings
+   */
+  updateSettings(roomId, updates) {
+    const room = this.getRoom(roomId)
+    if (!room) {
+      throw new Error(`Room ${roomId} not found`)
+    }
+    const settings = mergeRoomSettings(room.settings, updates)
+    if (settings.maxParticipants < room.participants.length) {
+      throw new Error(`maxParticipants cannot be lower than the ${room.participants.length} people already in the room`)
+    }
+    room.settings = settings
+    this.saveRoom(roomId)
+
+    console.log(`⚙️ Updated settings for room ${roomId}:`, room.settings)
+    return room.settings
+  }
+
   /**
    * Get room participants
    * @param {string} roomId - Room identifier
@@ -109,31 +345,53 @@ class RoomManager {
    */
   getRoomParticipants(roomId) {
     const room = this.getRoom(roomId)
+    if (!room) return []
     return room.participants.map(participant => ({
       id: participant.id,
       anonymousName: participant.anonymousName,
       isReady: participant.isReady,
       joinedAt: participant.joinedAt,
       socketId: participant.socketId, // added for WebRTC signaling
-      role: participant.role || 'listener' // always include role
+      role: participant.role || 'listener', // always include role
+      isHost: participant.id === room.hostId,
+      status: participant.status || 'connected'
     }))
   }
 
+  /**
+   * Check whether a room has space for another participant
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - Joining user (rejoining users always fit)
+   * @returns {boolean} True if the user can join
+   */
+  hasCapacity(roomId, userId) {
+    const room = this.getRoom(roomId)
+    if (!room) return false
+    if (room.participants.some(p => p.id === userId)) return true
+    return room.participants.length < room.settings.maxParticipants
+  }
+
   /**
    * Get room discussion state
    * @param {string} roomId - Room identifier
-   * @returns {Object} Discussion state
+   * @returns {Object|null} Discussion state
    */
   getDiscussionState(roomId) {
     const room = this.getRoom(roomId)
+    if (!room) return null
     return {
       active: room.discussion.active,
       topic: room.discussion.topic,
       currentSpeaker: room.discussion.active && room.participants.length > 0 
         ? room.participants[room.discussion.currentSpeakerIndex] 
         : null,
-      timeRemaining: room.discussion.timeRemaining,
+      timeRemaining: getTimeRemaining(room.discussion),
+      turnEndsAt: room.discussion.turnEndsAt,
+      turnDuration: room.discussion.turnDuration,
+      paused: room.discussion.paused,
       round: room.discussion.round,
+      strategy: room.discussion.strategy,
+      handQueue: room.discussion.handQueue,
       participantCount: room.participants.length
     }
   }
@@ -151,12 +409,13 @@ class RoomManager {
     }
 
     const room = this.getRoom(roomId)
-    const user = room.participants.find(p => p.id === userId)
+    const user = room?.participants.find(p => p.id === userId)
     
     if (user) {
       const oldRole = user.role
       user.role = newRole
       console.log(`🔄 Changed ${user.anonymousName} role from ${oldRole} to ${newRole} in room ${roomId}`)
+      this.saveRoom(roomId)
       return true
     }
     
@@ -169,12 +428,12 @@ class RoomManager {
    * @returns {Object} Role statistics
    */
   getRoleStats(roomId) {
-    const room = this.getRoom(roomId)
-    const speakers = room.participants.filter(p => p.role === 'speaker')
-    const listeners = room.participants.filter(p => p.role === 'listener')
+    const participants = this.getRoom(roomId)?.participants || []
+    const speakers = participants.filter(p => p.role === 'speaker')
+    const listeners = participants.filter(p => p.role === 'listener')
     
     return {
-      totalParticipants: room.participants.length,
+      totalParticipants: participants.length,
       speakers: speakers.length,
       listeners: listeners.length,
       speakerList: speakers,
@@ -185,51 +444,65 @@ class RoomManager {
   /**
    * Check if user can become speaker (based on room limits)
    * @param {string} roomId - Room identifier
-   * @param {number} maxSpeakers - Maximum allowed speakers (default: 6)
+   * @param {number} maxSpeakers - Maximum allowed speakers (default: room's maxSpeakers setting)
    * @returns {boolean} Can become speaker
    */
-  canBecomeSpeaker(roomId, maxSpeakers = 6) {
+  canBecomeSpeaker(roomId, maxSpeakers = this.getRoom(roomId)?.settings.maxSpeakers || 0) {
     const stats = this.getRoleStats(roomId)
     return stats.speakers < maxSpeakers
   }
 
   /**
    * Clean up room resources
+   * Rooms stay listed when empty; only closeRoom removes them.
    * @param {string} roomId - Room identifier
    */
   cleanupRoom(roomId) {
-    const room = this.rooms.get(roomId)
+    const room = this.store.get(roomId)
     
     if (room) {
       // Clear any active timers
       if (room.discussion.timer) {
-        clearInterval(room.discussion.timer)
+        clearTimeout(room.discussion.timer)
+        room.discussion.timer = null
       }
       
-      // Remove the room
-      this.rooms.delete(roomId)
       console.log(`🧹 Cleaned up empty room: ${roomId}`)
     }
   }
 
   /**
-   * Get all rooms (for debugging/monitoring)
+   * Get a public summary of a room
+   * @param {string} roomId - Room identifier
+   * @returns {Object|null} Room summary or null if not found
+   */
+  getRoomSummary(roomId) {
+    const room = this.getRoom(roomId)
+    if (!room) return null
+
+    return {
+      id: room.id,
+      name: room.name,
+      description: room.description,
+      capacity: room.settings.maxParticipants,
+      status: room.discussion.active ? 'in-progress' : 'open',
+      participantCount: room.participants.length,
+      discussionActive: room.discussion.active,
+      round: room.discussion.round,
+      topic: room.discussion.active ? room.discussion.topic?.title || null : null,
+      settings: room.settings,
+      hostId: room.hostId,
+      createdBy: room.createdBy,
+      createdAt: room.createdAt
+    }
+  }
+
+  /**
+   * Get all rooms
    * @returns {Array} Array of room summaries
    */
   getAllRooms() {
-    const roomSummaries = []
-    
-    for (const [roomId, room] of this.rooms.entries()) {
-      roomSummaries.push({
-        id: roomId,
-        participantCount: room.participants.length,
-        discussionActive: room.discussion.active,
-        round: room.discussion.round,
-        createdAt: room.createdAt
-      })
-    }
-    
-    return roomSummaries
+    return Array.from(this.store.keys()).map(roomId => this.getRoomSummary(roomId))
   }
 
   /**
@@ -240,7 +513,7 @@ class RoomManager {
     let totalParticipants = 0
     let activeDiscussions = 0
     
-    for (const room of this.rooms.values()) {
+    for (const room of this.store.values()) {
       totalParticipants += room.participants.length
       if (room.discussion.active) {
         activeDiscussions++
@@ -248,7 +521,7 @@ class RoomManager {
     }
     
     return {
-      totalRooms: this.rooms.size,
+      totalRooms: this.store.size,
       totalParticipants,
       activeDiscussions,
       timestamp: new Date()
@@ -256,6 +529,19 @@ class RoomManager {
   }
 }
 
+/**
+ * Turn a room name into an id-friendly slug
+ * @param {string} name - Room name
+ * @returns {string} Lowercase slug
+ */
+function slugify(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'room'
+}
+
 // Singleton instance
 const roomManager = new RoomManager();
 export { RoomManager, roomManager };
@@ -0,0 +1,127 @@
+import { DEFAULT_TURN_STRATEGY, isTurnStrategy } from './turnStrategies.js'
+import { validateTopicFilters, validateLocale } from '../ai/topicSchema.js'
+
+/**
+ * Room Settings
+ * Per-room discussion configuration. Environment variables only provide
+ * the defaults for newly created rooms.
+ */
+
+/**
+ * Validation rules for each setting
+ */
+const SETTING_RULES = {
+  rounds: { type: 'integer', min: 1, max: 20 },
+  speakingTime: { type: 'integer', min: 10, max: 600 },
+  minParticipants: { type: 'integer', min: 1, max: 50 },
+  maxParticipants: { type: 'integer', min: 1, max: 50 },
+  maxSpeakers: { type: 'integer', min: 1, max: 50 },
+  autoStart: { type: 'boolean' },
+  turnStrategy: { type: 'strategy' },
+  reconnectGraceSeconds: { type: 'integer', min: 0, max: 300 },
+  topicRepeatWindowDays: { type: 'integer', min: 0, max: 365 },
+  aiFollowUps: { type: 'boolean' },
+  topicFilters: { type: 'topicFilters' },
+  locale: { type: 'locale' }
+}
+
+/**
+ * Get default settings for a new room
+ * @returns {Object} Default settings
+ */
+export function getDefaultRoomSettings() {
+  const maxParticipants = parseInt(process.env.MAX_PARTICIPANTS) || 8
+  return {
+    rounds: parseInt(process.env.DEFAULT_ROUNDS) || 3,
+    speakingTime: parseInt(process.env.DEFAULT_SPEAKING_TIME) || 60,
+    minParticipants: parseInt(process.env.MIN_PARTICIPANTS) || 1,
+    maxParticipants,
+    maxSpeakers: Math.min(parseInt(process.env.MAX_SPEAKERS) || 6, maxParticipants),
+    autoStart: process.env.AUTO_START !== 'false',
+    turnStrategy: process.env.TURN_STRATEGY || DEFAULT_TURN_STRATEGY,
+    // 0 removes disconnected participants immediately
+    reconnectGraceSeconds: parseEnvInteger(process.env.RECONNECT_GRACE_SECONDS, 30),
+    // Days before a topic may come back to a room or its participants (0 allows repeats)
+    topicRepeatWindowDays: parseEnvInteger(process.env.TOPIC_REPEAT_WINDOW_DAYS, 30),
+    // Ask the LLM provider for a new prompt once a topic's questions run out
+    aiFollowUps: process.env.AI_FOLLOW_UPS !== 'false',
+    // Which library topics suit this room: { category, audience, difficulty, language }
+    topicFilters: validateTopicFilters({}),
+    // Language discussions are held in; topics are shown in it when translated
+    locale: (process.env.DEFAULT_LOCALE || 'en').toLowerCase()
+  }
+}
+
+/**
+ * Parse an integer environment variable, allowing 0
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number} Parsed value
+ */
+function parseEnvInteger(value, fallback) {
+  const number = parseInt(value)
+  return Number.isNaN(number) ? fallback : number
+}
+
+/**
+ * Validate a single setting value
+ * @param {string} key - Setting name
+ * @param {*} value - Proposed value
+ * @returns {*} Normalized value
+ */
+function validateSetting(key, value) {
+  const rule = SETTING_RULES[key]
+
+  if (rule.type === 'integer') {
+    const number = Number(value)
+    if (!Number.isInteger(number) || number < rule.min || number > rule.max) {
+      throw new Error(`${key} must be a whole number between ${rule.min} and ${rule.max}`)
+    }
+    return number
+  }
+
+  if (rule.type === 'boolean') {
+    if (typeof value !== 'boolean') {
+      throw new Error(`${key} must be true or false`)
+    }
+    return value
+  }
+
+  if (rule.type === 'topicFilters') {
+    return validateTopicFilters(value)
+  }
+
+  if (rule.type === 'locale') {
+    return validateLocale(value)
+  }
+
+  if (!isTurnStrategy(value)) {
+    throw new Error(`Unknown turn strategy: ${value}`)
+  }
+  return value
+}
+
+/**
+ * Merge and validate settings changes
+ * Unknown keys are ignored; invalid values throw.
+ * @param {Object} current - Current settings
+ * @param {Object} updates - Requested changes
+ * @returns {Object} New settings object
+ */
+export function mergeRoomSettings(current, updates = {}) {
+  const settings = { ...current }
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (!(key in SETTING_RULES) || value === undefined) continue
+    settings[key] = validateSetting(key, value)
+  }
+
+  if (settings.minParticipants > settings.maxParticipants) {
+    throw new Error('minParticipants cannot exceed maxParticipants')
+  }
+  if (settings.maxSpeakers > settings.maxParticipants) {
+    throw new Error('maxSpeakers cannot exceed maxParticipants')
+  }
+
+  return settings
+}
@@ -0,0 +1,183 @@
+import { saveRoomState, deleteRoomState, getRoomStates } from '../database/database.js'
+import { createTopicVote } from './topicVoting.js'
+
+/**
+ * Room Stores
+ * Where RoomManager keeps room state. Every store serves reads synchronously
+ * from memory so room lookups stay cheap inside socket handlers; persistent
+ * stores additionally write each changed room through to their backend.
+ *
+ * Store interface:
+ * - get(id), has(id), set(room), delete(id), keys(), values(), size
+ * - persist(room) - record that a room changed
+ * - load() - rebuild the cache from the backend (async)
+ */
+
+/**
+ * In-memory store - rooms are lost when the process exits
+ */
+class MemoryRoomStore {
+  constructor() {
+    this.rooms = new Map()
+  }
+
+  get(id) {
+    return this.rooms.get(id)
+  }
+
+  has(id) {
+    return this.rooms.has(id)
+  }
+
+  set(room) {
+    this.rooms.set(room.id, room)
+    this.persist(room)
+  }
+
+  delete(id) {
+    return this.rooms.delete(id)
+  }
+
+  keys() {
+    return this.rooms.keys()
+  }
+
+  values() {
+    return this.rooms.values()
+  }
+
+  get size() {
+    return this.rooms.size
+  }
+
+  /**
+   * Nothing to write for the in-memory store
+   * @param {Object} room - Changed room
+   */
+  persist(room) {}
+
+  /**
+   * Nothing to load for the in-memory store
+   * @returns {Array} Restored rooms
+   */
+  async load() {
+    return []
+  }
+}
+
+/**
+ * SQLite store - keeps rooms in memory and writes each changed room to the
+ * rooms table as JSON. Several changes to the same room in one tick are
+ * coalesced into a single write.
+ */
+class SqliteRoomStore extends MemoryRoomStore {
+  constructor() {
+    super()
+    this.dirty = new Set()
+    this.flushScheduled = false
+  }
+
+  delete(id) {
+    this.dirty.delete(id)
+    deleteRoomState(id).catch(e => console.warn('Room state delete failed:', e.message))
+    return super.delete(id)
+  }
+
+  persist(room) {
+    this.dirty.add(room.id)
+    if (!this.flushScheduled) {
+      this.flushScheduled = true
+      setImmediate(() => this.flush())
+    }
+  }
+
+  /**
+   * Write all rooms changed since the last flush
+   */
+  flush() {
+    this.flushScheduled = false
+    for (const id of this.dirty) {
+      const room = this.rooms.get(id)
+      if (room) {
+        saveRoomState(id, serializeRoom(room)).catch(e => console.warn('Room state save failed:', e.message))
+      }
+    }
+    this.dirty.clear()
+  }
+
+  async load() {
+    const rows = await getRoomStates()
+    const restored = []
+    for (const row of rows) {
+      try {
+        const room = reviveRoom(JSON.parse(row.state))
+        this.rooms.set(room.id, room)
+        restored.push(room)
+      } catch (error) {
+        console.error(`Skipping unreadable saved room ${row.id}:`, error.message)
+      }
+    }
+    return restored
+  }
+}
+
+/**
+ * Serialize a room for storage, leaving out timer handles
+ * @param {Object} room - Room object
+ * @returns {string} JSON state
+ */
+export function serializeRoom(room) {
+  return JSON.stringify(room, (key, value) => (key === 'timer' ? undefined : value))
+}
+
+/**
+ * Turn stored JSON back into a room, restoring Date fields
+ * @param {Object} data - Parsed room state
+ * @returns {Object} Room object
+ */
+export function reviveRoom(data) {
+  const toDate = value => (value ? new Date(value) : null)
+
+  data.createdAt = toDate(data.createdAt)
+  data.participants.forEach(participant => {
+    participant.joinedAt = toDate(participant.joinedAt)
+    participant.disconnectedAt = toDate(participant.disconnectedAt)
+  })
+
+  // Rooms saved before topic voting existed
+  data.topicVote = data.topicVote || createTopicVote()
+
+  const { discussion } = data
+  discussion.timer = null
+  discussion.startedAt = toDate(discussion.startedAt)
+  discussion.endedAt = toDate(discussion.endedAt)
+  discussion.pausedAt = toDate(discussion.pausedAt)
+  // Discussions saved before text contributions were recorded
+  discussion.contributions = discussion.contributions || []
+  Object.values(discussion.participation || {}).forEach(entry => {
+    entry.joinedAt = toDate(entry.joinedAt)
+    entry.leftAt = toDate(entry.leftAt)
+  })
+
+  return data
+}
+
+const stores = {
+  memory: MemoryRoomStore,
+  sqlite: SqliteRoomStore
+}
+
+/**
+ * Create the room store selected by ROOM_STORAGE
+ * @param {string} type - 'memory' (default) or 'sqlite'
+ * @returns {MemoryRoomStore} Store instance
+ */
+export function createRoomStore(type = process.env.ROOM_STORAGE || 'memory') {
+  const Store = stores[type]
+  if (!Store) {
+    throw new Error(`Unknown ROOM_STORAGE "${type}" (expected ${Object.keys(stores).join(' or ')})`)
+  }
+  return new Store()
+}
+
+export { MemoryRoomStore, SqliteRoomStore }
@@ -0,0 +1,29 @@
+/**
+ * Socket Errors
+ * Structured error payloads sent to clients on the 'error' event
+ */
+
+export const ERROR_CODES = {
+  NOT_AUTHORIZED: 'NOT_AUTHORIZED',
+  NOT_IN_ROOM: 'NOT_IN_ROOM',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  UNKNOWN_EVENT: 'UNKNOWN_EVENT',
+  PARTICIPANT_NOT_FOUND: 'PARTICIPANT_NOT_FOUND',
+  VOTING_CLOSED: 'VOTING_CLOSED',
+  TOPIC_REJECTED: 'TOPIC_REJECTED',
+  TOPIC_NOT_FOUND: 'TOPIC_NOT_FOUND',
+  ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+  ROOM_FULL: 'ROOM_FULL',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+}
+
+/**
+ * Send a structured error to a single socket
+ * @param {Socket} socket - Client socket
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Human readable message
+ * @param {string} event - Event that caused the error (optional)
+ */
+export function emitSocketError(socket, code, message, event = null) {
+  socket.emit('error', { code, message, event })
+}
@@ -1,7 +1,30 @@
 import { v4 as uuidv4 } from 'uuid'
-import { generateDiscussionTopic } from '../ai/topicGenerator.js'
+import { generateDiscussionTopic, getCandidateTopics, generateFollowUpPrompt } from '../ai/topicGenerator.js'
+import { validateTopic } from '../ai/topicSchema.js'
+import { localizeTopic } from '../ai/topicLocale.js'
 import { roomManager } from './roomManager.js'
-import { saveSession, updateSessionEnd, recordTopicUsage } from '../database/database.js'
+import { selectNextSpeaker } from './turnStrategies.js'
+import { ERROR_CODES, emitSocketError } from './socketErrors.js'
+import { issueUserToken } from '../utils/userTokens.js'
+import { validateEvent } from './eventSchemas.js'
+import {
+  startTurnClock,
+  pauseTurnClock,
+  resumeTurnClock,
+  extendTurnClock,
+  getRemainingMs,
+  getElapsedSeconds,
+  getClockPayload
+} from './turnClock.js'
+import { saveSession, saveParticipant, updateSessionEnd, recordTopicUsage, saveSessionSummary } from '../database/database.js'
+import { generateSessionSummary } from '../ai/sessionSummary.js'
+import { createLedger, recordJoin, recordLeave, beginTurn, endTurn, toParticipantRecords } from './participationLedger.js'
+import { createTopicVote, addCandidate, castVote, removeVoter, pickWinner, getVotePayload, clearSuggestions } from './topicVoting.js'
+
+// Library/AI topics put on each lobby ballot
+const BALLOT_SIZE = 3
+// Text contributions kept per discussion for its summary (oldest dropped first)
+const MAX_CONTRIBUTIONS = 200
 
 /**
  * Socket.io Event Handlers
@@ -13,8 +36,43 @@ import { saveSession, updateSessionEnd, recordTopicUsage } from '../database/dat
  * @param {Server} io - Socket.io server instance
  */
 export function setupSocketHandlers(io) {
-  // in-memory map of active session ids per room
-  const activeSessions = new Map()
+  // pending seat releases for disconnected participants, keyed by `${roomId}:${userId}`
+  const graceTimers = new Map()
+  // rooms whose ballot is currently being filled
+  const seedingBallots = new Set()
+  // rooms choosing a topic to start their discussion
+  const startingDiscussions = new Set()
+
+  // Keep clients in sync when the host role moves
+  roomManager.on('host-changed', (room) => {
+    io.to(room.id).emit('host-changed', { hostId: room.hostId })
+    io.to(room.id).emit('participants-update', roomManager.getRoomParticipants(room.id))
+  })
+
+  // When a room is closed (e.g. via the REST API), wrap up and move everyone out
+  roomManager.on('room-closed', (room) => {
+    try {
+      room.participants.forEach(p => clearGraceTimer(room.id, p.id))
+      if (room.discussion.active) {
+        endDiscussion(room.id)
+      }
+      io.to(room.id).emit('room-closed', { roomId: room.id })
+
+      const socketIds = io.sockets.adapter.rooms.get(room.id) || new Set()
+      for (const socketId of socketIds) {
+        const memberSocket = io.sockets.sockets.get(socketId)
+        if (memberSocket) {
+          memberSocket.currentRoom = null
+        }
+      }
+      io.in(room.id).socketsLeave(room.id)
+    } catch (error) {
+      console.error('Error handling room close:', error)
+    }
+  })
+
+  // Rooms restored from storage need their timers back
+  resumeRestoredRooms()
 
   io.on('connection', (socket) => {
     console.log(`[Backend] Socket connected: ${socket.id}`)
@@ -31,28 +89,74 @@ export function setupSocketHandlers(io) {
       isReady: false,
       joinedAt: new Date()
     }
+    // Lets the client fetch this user's own data over HTTP (e.g. their history)
+    socket.emit('user-token', { userId: userData.id, token: issueUserToken(userData.id) })
+
+    // Validate every inbound event against its schema before any handler runs.
+    // Handlers receive the normalized arguments; rejected packets never reach them.
+    socket.use((packet, next) => {
+      const [event, ...args] = packet
+      try {
+        packet.splice(1, args.length, ...validateEvent(event, args))
+        next()
+      } catch (error) {
+        console.log(`[Backend] Rejected ${event} from ${socket.id}: ${error.message}`)
+        const code = error.unknownEvent ? ERROR_CODES.UNKNOWN_EVENT : ERROR_CODES.INVALID_PAYLOAD
+        emitSocketError(socket, code, error.message, event)
+      }
+    })
+
+    /**
+     * Check that this socket hosts its current room, replying with an error if not
+     * @param {string} event - Event being authorized
+     * @returns {string|null} Room id if authorized, otherwise null
+     */
+    const authorizeHost = (event) => {
+      const roomId = socket.currentRoom
+      if (!roomId) {
+        emitSocketError(socket, ERROR_CODES.NOT_IN_ROOM, 'You are not in a room', event)
+        return null
+      }
+      if (!roomManager.isHost(roomId, userData.id)) {
+        console.log(`[Backend] Rejected ${event} from non-host ${userData.anonymousName}`)
+        emitSocketError(socket, ERROR_CODES.NOT_AUTHORIZED, 'Only the host can do that', event)
+        return null
+      }
+      return roomId
+    }
+
+    /**
+     * Get this socket's room if its topic vote is open, replying with an error if not
+     * @param {string} event - Event being handled
+     * @returns {Object|null} Room if voting is open, otherwise null
+     */
+    const votingRoom = (event) => {
+      const room = socket.currentRoom && roomManager.getRoom(socket.currentRoom)
+      if (!room) {
+        emitSocketError(socket, ERROR_CODES.NOT_IN_ROOM, 'You are not in a room', event)
+        return null
+      }
+      if (room.discussion.active) {
+        emitSocketError(socket, ERROR_CODES.VOTING_CLOSED, 'Topic voting is closed while a discussion is running', event)
+        return null
+      }
+      return room
+    }
 
     /**
      * Handle user joining a room
      */
-    socket.on('join-room', (...args) => {
+    socket.on('join-room', (roomId, clientUserData) => {
       try {
-        // Robustly extract roomId and clientUserData
-        let roomId = 'general';
-        let clientUserData = null;
-        console.log('[Backend] join-room args:', args);
-        if (typeof args[0] === 'string') roomId = args[0];
-        if (typeof args[1] === 'object') clientUserData = args[1];
-
         // Use clientUserData if provided, else fallback to handshake
-        const effectiveUserData = clientUserData && clientUserData.userId ? {
+        const effectiveUserData = clientUserData?.userId ? {
           id: clientUserData.userId,
           socketId: socket.id,
           name: clientUserData.name,
           campus: clientUserData.campus,
           location: clientUserData.location,
           anonymousName: clientUserData.anonymousName,
-          role: clientUserData.role || 'listener', // Support role from client
+          role: clientUserData.role,
           isReady: false,
           joinedAt: new Date()
         } : { ...userData, role: userData.role || 'listener' };
@@ -61,6 +165,20 @@ export function setupSocketHandlers(io) {
         console.log('[Backend] Socket rooms before join:', Array.from(socket.rooms));
         console.log('[Backend] EffectiveUserData:', effectiveUserData);
 
+        // Rooms must be created before they can be joined
+        if (!roomManager.getRoom(roomId)) {
+          console.log(`[Backend] Room ${roomId} not found, rejecting ${effectiveUserData.anonymousName}`)
+          emitSocketError(socket, ERROR_CODES.ROOM_NOT_FOUND, 'Room not found', 'join-room')
+          return
+        }
+
+        // Respect the room's participant limit
+        if (!roomManager.hasCapacity(roomId, effectiveUserData.id)) {
+          console.log(`[Backend] Room ${roomId} is full, rejecting ${effectiveUserData.anonymousName}`)
+          emitSocketError(socket, ERROR_CODES.ROOM_FULL, 'Room is full', 'join-room')
+          return
+        }
+
         // Leave any existing rooms
         socket.rooms.forEach(room => {
           if (room !== socket.id) {
@@ -70,6 +188,9 @@ export function setupSocketHandlers(io) {
           }
         })
 
+        // Cancel a pending seat release if this user is reconnecting
+        clearGraceTimer(roomId, effectiveUserData.id)
+
         // Join the new room
         socket.join(roomId)
         socket.currentRoom = roomId
@@ -91,16 +212,19 @@ export function setupSocketHandlers(io) {
         // Check if there's an active discussion and sync state with the new user
         const room = roomManager.getRoom(roomId)
         if (room && room.discussion && room.discussion.active) {
+          recordJoin(room.discussion.participation, room.participants.find(p => p.id === effectiveUserData.id))
           console.log(`[Backend] Syncing active discussion state with ${effectiveUserData.anonymousName}`)
           
-          // Send discussion state to the newly joined user
+          // Send discussion state to the newly joined user.
+          // The clock payload carries the absolute turn deadline, so the countdown is never stale.
+          const clock = getClockPayload(room.discussion)
           const discussionState = {
             topic: room.discussion.topic,
             firstSpeaker: room.participants.find(p => p.id === room.participants[room.discussion.currentSpeakerIndex]?.id) || room.participants[0],
-            duration: room.discussion.speakingTime,
-            timeRemaining: room.discussion.timeRemaining,
             currentSpeaker: room.participants[room.discussion.currentSpeakerIndex],
-            round: room.discussion.round
+            round: room.discussion.round,
+            strategy: room.discussion.strategy,
+            ...clock
           }
           
           socket.emit('discussion-started', discussionState)
@@ -108,9 +232,22 @@ export function setupSocketHandlers(io) {
           
           // Also emit current speaker and timer state
           if (discussionState.currentSpeaker) {
-            socket.emit('speaker-changed', discussionState.currentSpeaker)
+            socket.emit('speaker-changed', {
+              speaker: discussionState.currentSpeaker,
+              round: discussionState.round,
+              strategy: discussionState.strategy,
+              ...clock
+            })
           }
-          socket.emit('timer-update', discussionState.timeRemaining)
+          if (clock.paused) {
+            socket.emit('discussion-paused', { pausedBy: room.discussion.pausedBy, ...clock })
+          }
+        }
+
+        // Lobby joiners get the current topic ballot
+        if (room && !room.discussion.active) {
+          socket.emit('topic-vote-update', getVotePayload(room.topicVote))
+          fillBallot(roomId)
         }
 
         // Check if we can start the discussion
@@ -118,7 +255,7 @@ export function setupSocketHandlers(io) {
 
       } catch (error) {
         console.error('[Backend] Error joining room:', error)
-        socket.emit('error', 'Failed to join room')
+        emitSocketError(socket, ERROR_CODES.INTERNAL_ERROR, 'Failed to join room', 'join-room')
       }
     })
 
@@ -153,7 +290,7 @@ export function setupSocketHandlers(io) {
         
       } catch (error) {
         console.error('Error handling user ready:', error)
-        socket.emit('error', 'Failed to update ready status')
+        emitSocketError(socket, ERROR_CODES.INTERNAL_ERROR, 'Failed to update ready status', 'user-ready')
       }
     })
 
@@ -168,6 +305,8 @@ export function setupSocketHandlers(io) {
         console.log(`📤 ${userData.anonymousName} leaving room: ${roomId}`)
         
         // Remove user from room
+        recordParticipantLeave(roomId, userData.id)
+        withdrawVote(roomId, userData.id)
         socket.leave(roomId)
         roomManager.removeUserFromRoom(roomId, userData.id)
         
@@ -191,11 +330,11 @@ export function setupSocketHandlers(io) {
     })
 
     /**
-     * Handle next speaker request
+     * Handle next speaker request (host only)
      */
     socket.on('next-speaker', () => {
       try {
-        const roomId = socket.currentRoom
+        const roomId = authorizeHost('next-speaker')
         if (!roomId) return
         
         const room = roomManager.getRoom(roomId)
@@ -209,6 +348,124 @@ export function setupSocketHandlers(io) {
       }
     })
 
+    /**
+     * Handle raised hands (used by the raise-hand turn strategy)
+     */
+    socket.on('raise-hand', () => {
+      try {
+        const roomId = socket.currentRoom
+        if (!roomId) return
+
+        const room = roomManager.getRoom(roomId)
+        if (!room) return
+        if (!room.discussion.handQueue.includes(userData.id)) {
+          room.discussion.handQueue.push(userData.id)
+        }
+        roomManager.saveRoom(roomId)
+        io.to(roomId).emit('hand-queue-update', room.discussion.handQueue)
+      } catch (error) {
+        console.error('Error raising hand:', error)
+      }
+    })
+
+    socket.on('lower-hand', () => {
+      try {
+        const roomId = socket.currentRoom
+        if (!roomId) return
+
+        const room = roomManager.getRoom(roomId)
+        if (!room) return
+        room.discussion.handQueue = room.discussion.handQueue.filter(id => id !== userData.id)
+        roomManager.saveRoom(roomId)
+        io.to(roomId).emit('hand-queue-update', room.discussion.handQueue)
+      } catch (error) {
+        console.error('Error lowering hand:', error)
+      }
+    })
+
+    /**
+     * Handle room settings changes (host only, before the discussion starts)
+     */
+    socket.on('update-room-settings', (updates) => {
+      try {
+        const roomId = authorizeHost('update-room-settings')
+        if (!roomId) return
+
+        const room = roomManager.getRoom(roomId)
+        if (!room) return
+        if (room.discussion.active) {
+          socket.emit('room-settings-error', { message: 'Settings cannot change during a discussion' })
+          return
+        }
+
+        const settings = roomManager.updateSettings(roomId, updates)
+        io.to(roomId).emit('room-settings-updated', settings)
+
+        // Suggest topics that match the new filters or locale
+        const topicSettingsChanged = updates.topicFilters !== undefined || updates.locale !== undefined
+        if (topicSettingsChanged && clearSuggestions(room.topicVote) > 0) {
+          roomManager.saveRoom(roomId)
+          io.to(roomId).emit('topic-vote-update', getVotePayload(room.topicVote))
+          fillBallot(roomId)
+        }
+      } catch (error) {
+        console.error('Error updating room settings:', error)
+        socket.emit('room-settings-error', { message: error.message })
+      }
+    })
+
+    /**
+     * Put a topic on the lobby ballot
+     */
+    socket.on('propose-topic', (proposal) => {
+      try {
+        const room = votingRoom('propose-topic')
+        if (!room) return
+
+        let topic
+        try {
+          topic = validateTopic(proposal)
+        } catch (error) {
+          emitSocketError(socket, ERROR_CODES.INVALID_PAYLOAD, error.message, 'propose-topic')
+          return
+        }
+
+        try {
+          // Proposals are written in the room's language
+          addCandidate(room.topicVote, { ...topic, language: room.settings.locale, source: 'Participant' }, userData.id)
+        } catch (error) {
+          emitSocketError(socket, ERROR_CODES.TOPIC_REJECTED, error.message, 'propose-topic')
+          return
+        }
+
+        console.log(`🗳️ ${userData.anonymousName} proposed "${topic.title}" in room ${room.id}`)
+        roomManager.saveRoom(room.id)
+        io.to(room.id).emit('topic-vote-update', getVotePayload(room.topicVote))
+      } catch (error) {
+        console.error('Error proposing topic:', error)
+      }
+    })
+
+    /**
+     * Vote for a topic on the lobby ballot (replaces any earlier vote)
+     */
+    socket.on('vote-topic', ({ candidateId }) => {
+      try {
+        const room = votingRoom('vote-topic')
+        if (!room) return
+
+        if (!castVote(room.topicVote, userData.id, candidateId)) {
+          emitSocketError(socket, ERROR_CODES.TOPIC_NOT_FOUND, 'That topic is not on the ballot', 'vote-topic')
+          return
+        }
+
+        roomManager.saveRoom(room.id)
+        io.to(room.id).emit('topic-vote-update', getVotePayload(room.topicVote))
+      } catch (error) {
+        console.error('Error voting for topic:', error)
+      }
+    })
+
     /**
      * Handle role change requests
      */
@@ -222,9 +479,9 @@ export function setupSocketHandlers(io) {
           return
         }
 
-        // Validate role
-        if (!['speaker', 'listener'].includes(newRole)) {
-          socket.emit('role-change-error', { message: 'Invalid role' })
+        // Only the host may change someone else's role
+        if (userId !== userData.id && !roomManager.isHost(targetRoomId, userData.id)) {
+          emitSocketError(socket, ERROR_CODES.NOT_AUTHORIZED, 'Only the host can change other participants\' roles', 'role-change')
           return
         }
 
@@ -262,12 +519,193 @@ export function setupSocketHandlers(io) {
     })
 
     /**
-     * Handle chat messages (if needed for future enhancement)
+     * Hand the host role to another participant (host only)
+     */
+    socket.on('transfer-host', ({ userId }) => {
+      try {
+        const roomId = authorizeHost('transfer-host')
+        if (!roomId) return
+
+        if (!roomManager.transferHost(roomId, userId)) {
+          emitSocketError(socket, ERROR_CODES.PARTICIPANT_NOT_FOUND, 'Participant not found', 'transfer-host')
+        }
+      } catch (error) {
+        console.error('Error transferring host:', error)
+      }
+    })
+
+    /**
+     * Remove a participant from the room (host only)
+     */
+    socket.on('kick-participant', ({ userId }) => {
+      try {
+        const roomId = authorizeHost('kick-participant')
+        if (!roomId) return
+
+        const room = roomManager.getRoom(roomId)
+        const target = room.participants.find(p => p.id === userId)
+        if (!target || userId === userData.id) {
+          emitSocketError(socket, ERROR_CODES.PARTICIPANT_NOT_FOUND, 'Participant not found', 'kick-participant')
+          return
+        }
+
+        console.log(`🚫 ${userData.anonymousName} removed ${target.anonymousName} from room ${roomId}`)
+        clearGraceTimer(roomId, userId)
+
+        // Tell the participant, then take them out of the socket room
+        const targetSocket = io.sockets.sockets.get(target.socketId)
+        io.to(target.socketId).emit('kicked', { roomId })
+        if (targetSocket) {
+          targetSocket.leave(roomId)
+          targetSocket.currentRoom = null
+        }
+
+        releaseSeat(roomId, userId)
+      } catch (error) {
+        console.error('Error kicking participant:', error)
+      }
+    })
+
+    /**
+     * Mute a participant's microphone (host only)
+     */
+    socket.on('mute-participant', ({ userId }) => {
+      try {
+        const roomId = authorizeHost('mute-participant')
+        if (!roomId) return
+
+        const target = roomManager.getRoom(roomId).participants.find(p => p.id === userId)
+        if (!target) {
+          emitSocketError(socket, ERROR_CODES.PARTICIPANT_NOT_FOUND, 'Participant not found', 'mute-participant')
+          return
+        }
+
+        io.to(target.socketId).emit('force-mute', { by: userData.id })
+        io.to(roomId).emit('participant-muted', { userId })
+      } catch (error) {
+        console.error('Error muting participant:', error)
+      }
+    })
+
+    /**
+     * Freeze the speaking timer (host only)
+     */
+    socket.on('pause-discussion', () => {
+      try {
+        const roomId = authorizeHost('pause-discussion')
+        if (!roomId) return
+
+        const room = roomManager.getRoom(roomId)
+        if (!room.discussion.active || room.discussion.paused) return
+
+        stopSpeakingTimer(room)
+        pauseTurnClock(room.discussion)
+        room.discussion.paused = true
+        room.discussion.pausedAt = new Date()
+        room.discussion.pausedBy = userData.id
+        roomManager.saveRoom(roomId)
+        console.log(`⏸️ Discussion paused in room ${roomId} by ${userData.anonymousName}`)
+
+        io.to(roomId).emit('discussion-paused', {
+          pausedBy: userData.id,
+          ...getClockPayload(room.discussion)
+        })
+      } catch (error) {
+        console.error('Error pausing discussion:', error)
+      }
+    })
+
+    /**
+     * Restart the speaking timer after a pause (host only)
+     */
+    socket.on('resume-discussion', () => {
+      try {
+        const roomId = authorizeHost('resume-discussion')
+        if (!roomId) return
+
+        const room = roomManager.getRoom(roomId)
+        if (!room.discussion.active || !room.discussion.paused) return
+
+        resumeTurnClock(room.discussion)
+        room.discussion.paused = false
+        room.discussion.pausedAt = null
+        room.discussion.pausedBy = null
+        roomManager.saveRoom(roomId)
+        console.log(`▶️ Discussion resumed in room ${roomId} by ${userData.anonymousName}`)
+
+        io.to(roomId).emit('discussion-resumed', getClockPayload(room.discussion))
+        startSpeakingTimer(roomId)
+      } catch (error) {
+        console.error('Error resuming discussion:', error)
+      }
+    })
+
+    /**
+     * Give the current speaker extra time (host only)
+     */
+    socket.on('extend-speaker-time', ({ seconds }) => {
+      try {
+        const roomId = authorizeHost('extend-speaker-time')
+        if (!roomId) return
+
+        const room = roomManager.getRoom(roomId)
+        if (!room.discussion.active) return
+
+        extendTurnClock(room.discussion, seconds)
+        roomManager.saveRoom(roomId)
+        console.log(`⏩ Extended ${room.discussion.currentSpeakerId}'s turn by ${seconds}s in room ${roomId}`)
+
+        io.to(roomId).emit('speaker-time-extended', {
+          speakerId: room.discussion.currentSpeakerId,
+          seconds,
+          ...getClockPayload(room.discussion)
+        })
+        // Move the pending turn-end to the new deadline
+        startSpeakingTimer(roomId)
+      } catch (error) {
+        console.error('Error extending speaker time:', error)
+      }
+    })
+
+    /**
+     * End the discussion early (host only)
+     */
+    socket.on('end-discussion', () => {
+      try {
+        const roomId = authorizeHost('end-discussion')
+        if (!roomId) return
+
+        const room = roomManager.getRoom(roomId)
+        if (room?.discussion.active) {
+          endDiscussion(roomId)
+        }
+      } catch (error) {
+        console.error('Error ending discussion:', error)
+      }
+    })
+
+    /**
+     * Handle chat messages
+     * Messages sent during a discussion are kept for its end-of-discussion summary.
      */
     socket.on('message', (message) => {
       try {
         const roomId = socket.currentRoom
         if (!roomId) return
+
+        const room = roomManager.getRoom(roomId)
+        if (room?.discussion.active) {
+          const { contributions } = room.discussion
+          contributions.push({
+            userId: userData.id,
+            anonymousName: userData.anonymousName,
+            text: message,
+            round: room.discussion.round,
+            at: Date.now()
+          })
+          if (contributions.length > MAX_CONTRIBUTIONS) contributions.shift()
+          roomManager.saveRoom(roomId)
+        }
         
         // Broadcast message to room
         socket.to(roomId).emit('message', {
@@ -291,24 +729,19 @@ export function setupSocketHandlers(io) {
         console.log(`👋 User disconnected: ${socket.id}`)
         
         const roomId = socket.currentRoom
-        if (roomId) {
-          // Remove user from room
-          roomManager.removeUserFromRoom(roomId, userData.id)
-          
-          // Get updated participants
-          const participants = roomManager.getRoomParticipants(roomId)
-          
-          // Emit updated participants
-          io.to(roomId).emit('participants-update', participants)
-          
-          // Notify about user disconnection
-          socket.to(roomId).emit('user-disconnected', {
-            userId: userData.id,
-            participants
-          })
-          
-          // Check if discussion should continue or end
-          checkDiscussionContinuation(roomId)
+        const room = roomId && roomManager.getRoom(roomId)
+        const participant = room?.participants.find(p => p.id === userData.id)
+
+        // Ignore stale sockets: the user may already be back on a new connection
+        if (!participant || participant.socketId !== socket.id || participant.status === 'reconnecting') {
+          return
+        }
+
+        const graceSeconds = room.settings.reconnectGraceSeconds
+        if (graceSeconds > 0) {
+          holdSeat(roomId, userData.id, graceSeconds)
+        } else {
+          releaseSeat(roomId, userData.id)
         }
         
       } catch (error) {
@@ -372,14 +805,14 @@ export function setupSocketHandlers(io) {
     })
 
     /**
-     * Manual trigger for starting discussion (for testing)
+     * Manual trigger for starting discussion (host only)
      */
     socket.on('start-discussion-manual', () => {
       try {
-        const roomId = socket.currentRoom
+        const roomId = authorizeHost('start-discussion-manual')
         if (!roomId) return
         console.log(`[Backend] Manual discussion start triggered for room: ${roomId}`)
-        checkAndStartDiscussion(roomId)
+        checkAndStartDiscussion(roomId, { manual: true })
       } catch (e) {
         console.warn('start-discussion-manual handler error:', e.message)
       }
@@ -525,10 +958,23 @@ export function setupSocketHandlers(io) {
     })
   })
 
+  /**
+   * Whether a room has enough ready participants to start
+   * @param {Object} room - Room object
+   * @returns {boolean} True if at least minParticipants are present and ready
+   */
+  function hasEnoughReady(room) {
+    const { minParticipants } = room.settings
+    return room.participants.length >= minParticipants &&
+      room.participants.filter(p => p.isReady).length >= minParticipants
+  }
+
   /**
    * Check if discussion can start
+   * @param {string} roomId - Room identifier
+   * @param {Object} options - { manual } true when explicitly requested (bypasses autoStart)
    */
-  async function checkAndStartDiscussion(roomId) {
+  async function checkAndStartDiscussion(roomId, { manual = false } = {}) {
     try {
       console.log(`[Backend] checkAndStartDiscussion called for room: ${roomId}`)
       const room = roomManager.getRoom(roomId)
@@ -536,44 +982,25 @@ export function setupSocketHandlers(io) {
         console.log(`[Backend] Room ${roomId} not found`)
         return
       }
-      const participants = room.participants
-      const readyCount = participants.filter(p => p.isReady).length
-      const minParticipants = parseInt(process.env.MIN_PARTICIPANTS) || 1
+      const readyCount = room.participants.filter(p => p.isReady).length
+      const { minParticipants, autoStart } = room.settings
       
-      console.log(`[Backend] Room status - Total: ${participants.length}, Ready: ${readyCount}, Min: ${minParticipants}, Discussion active: ${room.discussion?.active || false}`)
+      console.log(`[Backend] Room status - Total: ${room.participants.length}, Ready: ${readyCount}, Min: ${minParticipants}, Discussion active: ${room.discussion?.active || false}`)
       
-      if (participants.length >= minParticipants && readyCount >= minParticipants && !room.discussion.active) {
-        console.log(`🚀 Starting discussion in room: ${roomId}`)
-        const topic = await generateDiscussionTopic()
-        // record topic usage (non-blocking)
-        recordTopicUsage(topic).catch(e => console.warn('Topic usage record failed:', e.message))
-        const speakingTime = parseInt(process.env.DEFAULT_SPEAKING_TIME) || 60
-        room.discussion = {
-          active: true,
-          topic,
-          currentSpeakerIndex: 0,
-          speakingTime,
-          timeRemaining: speakingTime,
-          round: 1,
-          startedAt: new Date()
-        }
-        // persist session start
-        const sessionId = uuidv4()
-        activeSessions.set(roomId, sessionId)
-        saveSession({
-          id: sessionId,
-          roomId,
-          topic,
-          participantCount: participants.length,
-          startedAt: room.discussion.startedAt,
-          endedAt: null,
-          durationSeconds: null,
-          roundsCompleted: 0
-        }).catch(e => console.warn('Session save failed:', e.message))
-        const firstSpeaker = participants[0]
-        console.log(`[Backend] Emitting discussion-started with firstSpeaker:`, firstSpeaker.anonymousName)
-        io.to(roomId).emit('discussion-started', { topic, firstSpeaker, duration: speakingTime })
-        startSpeakingTimer(roomId)
+      if (!autoStart && !manual && !room.discussion.active) {
+        console.log(`[Backend] Auto-start disabled for room ${roomId} - waiting for manual start`)
+        return
+      }
+
+      if (startingDiscussions.has(roomId)) {
+        console.log(`[Backend] Discussion already starting in room: ${roomId}`)
+      } else if (hasEnoughReady(room) && !room.discussion.active) {
+        startingDiscussions.add(roomId)
+        try {
+          await startDiscussion(roomId)
+        } finally {
+          startingDiscussions.delete(roomId)
+        }
       } else if (room.discussion?.active) {
         console.log(`[Backend] Discussion already active in room: ${roomId}`)
       } else {
@@ -583,30 +1010,108 @@ export function setupSocketHandlers(io) {
       console.error('Error checking discussion start:', error)
     }
   }
+
+  /**
+   * Choose a topic and start a room's discussion
+   * Only called by checkAndStartDiscussion, which keeps other starts out while
+   * the topic is chosen.
+   * @param {string} roomId - Room identifier
+   */
+  async function startDiscussion(roomId) {
+    console.log(`🚀 Starting discussion in room: ${roomId}`)
+    // The lobby's winning topic, if anyone voted
+    const winner = pickWinner(roomManager.getRoom(roomId).topicVote)
+    const topic = winner || await generateDiscussionTopic(topicContext(roomManager.getRoom(roomId)))
+
+    // The room may have closed, started or lost participants while the topic was chosen
+    const room = roomManager.getRoom(roomId)
+    if (!room || room.discussion.active || !hasEnoughReady(room)) {
+      console.log(`[Backend] Room ${roomId} changed while choosing a topic - not starting`)
+      return
+    }
+    const participants = room.participants
+    if (winner) console.log(`🗳️ Using voted topic "${topic.title}"`)
+    room.topicVote = createTopicVote()
+    const localized = localizeTopic(topic, room.settings.locale)
+    // record topic usage (non-blocking)
+    recordTopicUsage(topic).catch(e => console.warn('Topic usage record failed:', e.message))
+    const { speakingTime } = room.settings
+    room.discussion = {
+      active: true,
+      // Own copy in the room's locale, since AI follow-up prompts are appended to its questions
+      topic: { ...localized, questions: [...(localized.questions || [])], activePrompt: null },
+      strategy: room.settings.turnStrategy,
+      currentSpeakerIndex: 0,
+      pendingSpeakers: null,
+      currentSpeakerId: null,
+      handQueue: room.discussion.handQueue || [],
+      participation: createLedger(participants),
+      speakingTime,
+      turnDuration: speakingTime,
+      turnStartedAt: null,
+      turnEndsAt: null,
+      remainingMs: null,
+      paused: false,
+      pausedAt: null,
+      round: 1,
+      contributions: [],
+      sessionId: uuidv4(),
+      startedAt: new Date()
+    }
+    updateRoundPrompt(roomId)
+    const queuedHands = room.discussion.handQueue.length
+    const { speaker: firstSpeaker, strategy } = selectNextSpeaker(room.discussion, participants)
+    beginTurn(room.discussion.participation, firstSpeaker.id)
+    startTurnClock(room.discussion, speakingTime)
+    roomManager.saveRoom(roomId)
+    // persist session start
+    saveSession({
+      id: room.discussion.sessionId,
+      roomId,
+      topic,
+      participantCount: participants.length,
+      startedAt: room.discussion.startedAt,
+      endedAt: null,
+      durationSeconds: null,
+      roundsCompleted: 0,
+      roundsPlanned: room.settings.rounds
+    }).catch(e => console.warn('Session save failed:', e.message))
+    console.log(`[Backend] Emitting discussion-started with firstSpeaker (${strategy}):`, firstSpeaker.anonymousName)
+    io.to(roomId).emit('discussion-started', { topic: room.discussion.topic, firstSpeaker, strategy, ...getClockPayload(room.discussion) })
+    if (room.discussion.handQueue.length !== queuedHands) {
+      io.to(roomId).emit('hand-queue-update', room.discussion.handQueue)
+    }
+    startSpeakingTimer(roomId)
+  }
+
   /**
-   * Start speaking timer for current speaker
+   * Schedule the end of the current turn at its deadline.
+   * Clients count down locally from turnEndsAt, so nothing is broadcast per second.
+   * While the discussion is paused the timer stays stopped until resume-discussion.
    */
   function startSpeakingTimer(roomId) {
     const room = roomManager.getRoom(roomId)
     if (!room || !room.discussion.active) return
     
     // Clear any existing timer
+    stopSpeakingTimer(room)
+    if (room.discussion.paused) return
+    
+    room.discussion.timer = setTimeout(() => {
+      room.discussion.timer = null
+      advanceToNextSpeaker(roomId)
+    }, getRemainingMs(room.discussion))
+  }
+
+  /**
+   * Stop the speaking timer for a room
+   * @param {Object} room - Room object
+   */
+  function stopSpeakingTimer(room) {
     if (room.discussion.timer) {
-      clearInterval(room.discussion.timer)
+      clearTimeout(room.discussion.timer)
+      room.discussion.timer = null
     }
-    
-    // Start new timer
-    room.discussion.timer = setInterval(() => {
-      room.discussion.timeRemaining--
-      
-      // Emit timer update
-      io.to(roomId).emit('timer-update', room.discussion.timeRemaining)
-      
-      // Check if time is up
-      if (room.discussion.timeRemaining <= 0) {
-        advanceToNextSpeaker(roomId)
-      }
-    }, 1000)
   }
 
   /**
@@ -621,36 +1126,45 @@ export function setupSocketHandlers(io) {
       if (participants.length === 0) return
       
       // Clear current timer
-      if (room.discussion.timer) {
-        clearInterval(room.discussion.timer)
-        room.discussion.timer = null
-      }
+      stopSpeakingTimer(room)
       
-      // Move to next speaker
-      room.discussion.currentSpeakerIndex = (room.discussion.currentSpeakerIndex + 1) % participants.length
+      // Credit the outgoing speaker with the time they actually used
+      creditCurrentSpeaker(room)
+      
+      // Let the room's turn strategy choose who goes next
+      const queuedHands = room.discussion.handQueue.length
+      const { speaker: nextSpeaker, roundCompleted, strategy } = selectNextSpeaker(room.discussion, participants)
+      if (room.discussion.handQueue.length !== queuedHands) {
+        io.to(roomId).emit('hand-queue-update', room.discussion.handQueue)
+      }
       
       // Check if we completed a full round
-      if (room.discussion.currentSpeakerIndex === 0) {
+      if (roundCompleted) {
         room.discussion.round++
         
-        // After 3 rounds, end the discussion
-        if (room.discussion.round > 3) {
+        // After the configured number of rounds, end the discussion
+        if (room.discussion.round > room.settings.rounds) {
           endDiscussion(roomId)
           return
         }
+
+        // Move the topic on to this round's prompt
+        if (updateRoundPrompt(roomId)) {
+          io.to(roomId).emit('topic-update', room.discussion.topic)
+        }
       }
       
-      // Reset time
-      room.discussion.timeRemaining = room.discussion.speakingTime
-      
-      // Get next speaker
-      const nextSpeaker = participants[room.discussion.currentSpeakerIndex]
+      // Reset time (extensions only apply to the turn they were granted on)
+      startTurnClock(room.discussion, room.discussion.speakingTime)
+      beginTurn(room.discussion.participation, nextSpeaker.id)
+      roomManager.saveRoom(roomId)
       
       // Emit speaker change
       io.to(roomId).emit('speaker-changed', {
         speaker: nextSpeaker,
-        timeRemaining: room.discussion.timeRemaining,
-        round: room.discussion.round
+        round: room.discussion.round,
+        strategy,
+        ...getClockPayload(room.discussion)
       })
       
       // Start timer for next speaker
@@ -663,8 +1177,10 @@ export function setupSocketHandlers(io) {
 
   /**
    * End the discussion
+   * Clients get 'discussion-ended' with { sessionId, summary } once the summary
+   * has been written (see ai/sessionSummary.js).
    */
-  function endDiscussion(roomId) {
+  async function endDiscussion(roomId) {
     try {
       const room = roomManager.getRoom(roomId)
       if (!room) return
@@ -672,32 +1188,302 @@ export function setupSocketHandlers(io) {
       console.log(`🏁 Ending discussion in room: ${roomId}`)
       
       // Clear timer
-      if (room.discussion.timer) {
-        clearInterval(room.discussion.timer)
-        room.discussion.timer = null
-      }
+      stopSpeakingTimer(room)
       
       // Mark discussion as ended
+      creditCurrentSpeaker(room)
       room.discussion.active = false
+      room.discussion.paused = false
       room.discussion.endedAt = new Date()
-      const sessionId = activeSessions.get(roomId)
+      const { sessionId } = room.discussion
+      let summaryDetails = null
       if (sessionId) {
+        // persist per-participant speaking time and turns
+        const records = toParticipantRecords(room.discussion.participation, room.discussion.endedAt)
+        records.forEach(record => {
+          saveParticipant({ id: uuidv4(), sessionId, ...record })
+            .catch(e => console.warn('Participant save failed:', e.message))
+        })
         const durationSeconds = Math.floor((room.discussion.endedAt - room.discussion.startedAt) / 1000)
+        const roundsCompleted = room.discussion.round - 1
         updateSessionEnd({
           id: sessionId,
           endedAt: room.discussion.endedAt,
           durationSeconds,
-          roundsCompleted: room.discussion.round - 1,
+          roundsCompleted,
+          roundsPlanned: room.settings.rounds,
           participantCount: room.participants.length
         }).catch(e => console.warn('Session end update failed:', e.message))
-        activeSessions.delete(roomId)
+        summaryDetails = {
+          topic: room.discussion.topic,
+          roundsCompleted,
+          durationSeconds,
+          participants: records,
+          contributions: room.discussion.contributions || []
+        }
+        room.discussion.sessionId = null
+      }
+      roomManager.saveRoom(roomId)
+
+      // Sent at once: the room may start its next discussion while the summary is written
+      io.to(roomId).emit('discussion-ended', { sessionId: sessionId || null })
+      // Open a fresh ballot for the next discussion
+      fillBallot(roomId)
+      if (summaryDetails) {
+        sendSessionSummary(roomId, sessionId, summaryDetails)
       }
-      io.to(roomId).emit('discussion-ended')
     } catch (error) {
       console.error('Error ending discussion:', error)
     }
   }
 
+  /**
+   * Write an ended discussion's summary, store it and send it as 'session-summary'
+   * Clients match it to the discussion by sessionId; summary is null if it could not be written.
+   * @param {string} roomId - Room identifier
+   * @param {string} sessionId - Discussion the summary is for
+   * @param {Object} details - Input for generateSessionSummary
+   */
+  async function sendSessionSummary(roomId, sessionId, details) {
+    let summary = null
+    try {
+      summary = await generateSessionSummary(details)
+      saveSessionSummary(sessionId, summary).catch(e => console.warn('Session summary save failed:', e.message))
+    } catch (error) {
+      console.error('Error writing session summary:', error)
+    }
+    io.to(roomId).emit('session-summary', { sessionId, summary })
+  }
+
+  /**
+   * Credit the current speaker with the time used on their turn
+   * (measured from the turn clock, so paused time is not counted)
+   * @param {Object} room - Room object
+   */
+  function creditCurrentSpeaker(room) {
+    const { discussion } = room
+    if (!discussion.currentSpeakerId) return
+    endTurn(discussion.participation, discussion.currentSpeakerId, getElapsedSeconds(discussion))
+    // Stop the clock so the same turn is never credited twice
+    discussion.turnDuration = 0
+    discussion.turnEndsAt = null
+    discussion.remainingMs = null
+  }
+
+  /**
+   * Record a participant leaving an active discussion
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User identifier
+   */
+  function recordParticipantLeave(roomId, userId) {
+    const room = roomManager.getRoom(roomId)
+    if (room?.discussion.active) {
+      recordLeave(room.discussion.participation, userId)
+    }
+  }
+
+  /**
+   * Drop a departing participant's topic vote and update the tallies
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User identifier
+   */
+  function withdrawVote(roomId, userId) {
+    const room = roomManager.getRoom(roomId)
+    if (room && !room.discussion.active && removeVoter(room.topicVote, userId)) {
+      roomManager.saveRoom(roomId)
+      io.to(roomId).emit('topic-vote-update', getVotePayload(room.topicVote))
+    }
+  }
+
+  /**
+   * Who a topic is being chosen for, so recent topics are not repeated and
+   * the room's topic filters are applied
+   * @param {Object} room - Room object
+   * @returns {Object} { roomId, userIds, windowDays, filters, locale }
+   */
+  function topicContext(room) {
+    return {
+      roomId: room.id,
+      userIds: room.participants.map(p => p.id),
+      windowDays: room.settings.topicRepeatWindowDays,
+      filters: room.settings.topicFilters,
+      locale: room.settings.locale
+    }
+  }
+
+  /**
+   * Put library/AI topics on a room's ballot if it has none yet
+   * @param {string} roomId - Room identifier
+   */
+  async function fillBallot(roomId) {
+    const room = roomManager.getRoom(roomId)
+    if (!room || room.discussion.active || seedingBallots.has(roomId)) return
+    if (room.topicVote.candidates.some(c => !c.proposedBy)) return
+
+    seedingBallots.add(roomId)
+    try {
+      const topics = await getCandidateTopics(BALLOT_SIZE, topicContext(room))
+      // The room may have closed or started while topics were generated
+      const current = roomManager.getRoom(roomId)
+      if (!current || current.discussion.active) return
+
+      topics.forEach(topic => {
+        try {
+          addCandidate(current.topicVote, topic)
+        } catch (error) {
+          // Duplicate of a participant proposal, or the ballot is full
+        }
+      })
+      roomManager.saveRoom(roomId)
+      io.to(roomId).emit('topic-vote-update', getVotePayload(current.topicVote))
+    } catch (error) {
+      console.error('Error filling topic ballot:', error)
+    } finally {
+      seedingBallots.delete(roomId)
+    }
+  }
+
+  /**
+   * Set the topic's active prompt for the current round: round 1 gets the
+   * first question, round 2 the second, and so on. Once the questions run out
+   * the room can ask the LLM provider for a follow-up, which is appended to the
+   * questions and sent on 'topic-update' when it arrives; until then (or if
+   * none comes) the previous prompt stays active.
+   * @param {string} roomId - Room identifier
+   * @returns {boolean} True if the prompt changed now
+   */
+  function updateRoundPrompt(roomId) {
+    const room = roomManager.getRoom(roomId)
+    if (!room || !room.discussion.active) return false
+    const { topic, round } = room.discussion
+
+    if (round <= topic.questions.length) {
+      topic.activePrompt = { round, index: round - 1, text: topic.questions[round - 1], source: 'topic' }
+      roomManager.saveRoom(roomId)
+      return true
+    }
+
+    if (room.settings.aiFollowUps) {
+      requestFollowUpPrompt(roomId, room.discussion.sessionId, round)
+    }
+    return false
+  }
+
+  /**
+   * Generate a follow-up prompt and make it the active one
+   * @param {string} roomId - Room identifier
+   * @param {string} sessionId - Discussion the prompt is for
+   * @param {number} round - Round the prompt is for
+   */
+  async function requestFollowUpPrompt(roomId, sessionId, round) {
+    try {
+      const room = roomManager.getRoom(roomId)
+      const text = await generateFollowUpPrompt(room.discussion.topic, room.discussion.topic.questions)
+      if (!text) return
+
+      // The discussion may have ended or moved on while the prompt was generated
+      const current = roomManager.getRoom(roomId)
+      if (!current || !current.discussion.active || current.discussion.sessionId !== sessionId || current.discussion.round !== round) return
+
+      const { topic } = current.discussion
+      topic.questions.push(text)
+      topic.activePrompt = { round, index: topic.questions.length - 1, text, source: 'ai' }
+      roomManager.saveRoom(roomId)
+      io.to(roomId).emit('topic-update', topic)
+    } catch (error) {
+      console.error('Error generating follow-up prompt:', error)
+    }
+  }
+
+  /**
+   * Keep a disconnected participant's seat for the grace window
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User identifier
+   * @param {number} graceSeconds - How long to wait for them to rejoin
+   */
+  function holdSeat(roomId, userId, graceSeconds) {
+    roomManager.markReconnecting(roomId, userId)
+    io.to(roomId).emit('participants-update', roomManager.getRoomParticipants(roomId))
+    io.to(roomId).emit('participant-reconnecting', { userId, graceSeconds })
+    scheduleSeatRelease(roomId, userId, graceSeconds)
+  }
+
+  /**
+   * Release a held seat once the grace window ends, unless the user is back by then
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User identifier
+   * @param {number} graceSeconds - How long to wait
+   */
+  function scheduleSeatRelease(roomId, userId, graceSeconds) {
+    clearGraceTimer(roomId, userId)
+    graceTimers.set(`${roomId}:${userId}`, setTimeout(() => {
+      graceTimers.delete(`${roomId}:${userId}`)
+      const participant = roomManager.getRoom(roomId)?.participants.find(p => p.id === userId)
+      if (participant?.status === 'reconnecting') {
+        console.log(`⌛ Grace window expired for ${participant.anonymousName} in room ${roomId}`)
+        releaseSeat(roomId, userId)
+      }
+    }, graceSeconds * 1000))
+  }
+
+  /**
+   * Cancel a pending seat release
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User identifier
+   */
+  function clearGraceTimer(roomId, userId) {
+    const key = `${roomId}:${userId}`
+    if (graceTimers.has(key)) {
+      clearTimeout(graceTimers.get(key))
+      graceTimers.delete(key)
+    }
+  }
+
+  /**
+   * Remove a disconnected participant for good.
+   * If it was their turn, the discussion moves on to the next speaker.
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User identifier
+   */
+  function releaseSeat(roomId, userId) {
+    const room = roomManager.getRoom(roomId)
+    if (!room) return
+    const wasSpeaking = room.discussion.active && room.discussion.currentSpeakerId === userId
+
+    recordParticipantLeave(roomId, userId)
+    withdrawVote(roomId, userId)
+    roomManager.removeUserFromRoom(roomId, userId)
+
+    const participants = roomManager.getRoomParticipants(roomId)
+    io.to(roomId).emit('participants-update', participants)
+    io.to(roomId).emit('user-disconnected', { userId, participants })
+
+    if (wasSpeaking) {
+      advanceToNextSpeaker(roomId)
+    }
+    checkDiscussionContinuation(roomId)
+  }
+
+  /**
+   * Pick up rooms restored from storage after a restart: wait for their
+   * participants to reconnect and resume turn timers from the saved deadlines.
+   * A turn whose deadline passed while the server was down ends right away.
+   */
+  function resumeRestoredRooms() {
+    for (const { id: roomId } of roomManager.getAllRooms()) {
+      const room = roomManager.getRoom(roomId)
+
+      room.participants
+        .filter(p => p.status === 'reconnecting')
+        .forEach(p => scheduleSeatRelease(roomId, p.id, room.settings.reconnectGraceSeconds))
+
+      if (room.discussion.active) {
+        console.log(`♻️ Resuming discussion in room ${roomId} (round ${room.discussion.round})`)
+        startSpeakingTimer(roomId)
+      }
+    }
+  }
+
   /**
    * Check if discussion should continue after user disconnection
    */
@@ -706,7 +1492,7 @@ export function setupSocketHandlers(io) {
       const room = roomManager.getRoom(roomId)
       if (!room || !room.discussion.active) return
       const participants = room.participants
-      const minParticipants = parseInt(process.env.MIN_PARTICIPANTS) || 1
+      const { minParticipants } = room.settings
       if (participants.length < minParticipants) {
         console.log(`⚠️ Not enough participants in room ${roomId}, ending discussion`)
         endDiscussion(roomId)
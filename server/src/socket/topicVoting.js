@@ -0,0 +1,151 @@
+import { v4 as uuidv4 } from 'uuid'
+
+/**
+ * Topic Voting
+ * Lobby vote on the next discussion topic. Candidates come from the topic
+ * library, the AI generator and participant proposals; each participant has
+ * one vote, which they can move. The vote is a plain object stored on
+ * room.topicVote so it is saved with the rest of the room state.
+ */
+
+export const MAX_CANDIDATES = 8
+export const MAX_PROPOSALS_PER_USER = 2
+
+/**
+ * Create an empty vote
+ * @returns {Object} { candidates, votes } where votes maps user id to candidate id
+ */
+export function createTopicVote() {
+  return {
+    candidates: [],
+    votes: {}
+  }
+}
+
+/**
+ * Add a candidate topic
+ * @param {Object} vote - Topic vote
+ * @param {Object} topic - { title, description, category, questions, tags, language, translations, source }
+ * @param {string} proposedBy - User id of the proposer, or null for library/AI picks
+ * @returns {Object} The new candidate
+ */
+export function addCandidate(vote, topic, proposedBy = null) {
+  if (vote.candidates.length >= MAX_CANDIDATES) {
+    throw new Error(`There can be at most ${MAX_CANDIDATES} topics on the ballot`)
+  }
+  if (proposedBy && vote.candidates.filter(c => c.proposedBy === proposedBy).length >= MAX_PROPOSALS_PER_USER) {
+    throw new Error(`You can propose at most ${MAX_PROPOSALS_PER_USER} topics`)
+  }
+  if (vote.candidates.some(c => c.title.toLowerCase() === topic.title.toLowerCase())) {
+    throw new Error('That topic is already on the ballot')
+  }
+
+  const candidate = {
+    id: uuidv4(),
+    title: topic.title,
+    description: topic.description || '',
+    category: topic.category,
+    questions: topic.questions || [],
+    tags: topic.tags || [],
+    language: topic.language || 'en',
+    translations: topic.translations || {},
+    source: topic.source || (proposedBy ? 'Participant' : 'library'),
+    selection: topic.selection || null,
+    proposedBy
+  }
+  vote.candidates.push(candidate)
+  return candidate
+}
+
+/**
+ * Remove the library/AI suggestions (and votes for them), keeping participant
+ * proposals, so the ballot can be refilled
+ * @param {Object} vote - Topic vote
+ * @returns {number} Number of candidates removed
+ */
+export function clearSuggestions(vote) {
+  const removed = vote.candidates.filter(c => !c.proposedBy).map(c => c.id)
+  vote.candidates = vote.candidates.filter(c => c.proposedBy)
+  Object.entries(vote.votes).forEach(([userId, candidateId]) => {
+    if (removed.includes(candidateId)) delete vote.votes[userId]
+  })
+  return removed.length
+}
+
+/**
+ * Record a participant's vote, replacing any earlier one
+ * @param {Object} vote - Topic vote
+ * @param {string} userId - Voter id
+ * @param {string} candidateId - Candidate id
+ * @returns {boolean} False if the candidate does not exist
+ */
+export function castVote(vote, userId, candidateId) {
+  if (!vote.candidates.some(c => c.id === candidateId)) return false
+  vote.votes[userId] = candidateId
+  return true
+}
+
+/**
+ * Drop a participant's vote (e.g. when they leave the room)
+ * @param {Object} vote - Topic vote
+ * @param {string} userId - Voter id
+ * @returns {boolean} True if they had voted
+ */
+export function removeVoter(vote, userId) {
+  if (!(userId in vote.votes)) return false
+  delete vote.votes[userId]
+  return true
+}
+
+/**
+ * Count the votes for each candidate
+ * @param {Object} vote - Topic vote
+ * @returns {Array} Candidates with a `votes` count, in ballot order
+ */
+export function getTallies(vote) {
+  const counts = {}
+  Object.values(vote.votes).forEach(candidateId => {
+    counts[candidateId] = (counts[candidateId] || 0) + 1
+  })
+  return vote.candidates.map(candidate => ({ ...candidate, votes: counts[candidate.id] || 0 }))
+}
+
+/**
+ * Pick the winning topic. Ties are broken at random.
+ * @param {Object} vote - Topic vote
+ * @returns {Object|null} Winning topic (with `selection`), or null if nobody voted
+ */
+export function pickWinner(vote) {
+  const tallies = getTallies(vote)
+  const top = Math.max(0, ...tallies.map(c => c.votes))
+  if (top === 0) return null
+
+  const leaders = tallies.filter(c => c.votes === top)
+  const { title, description, category, questions, tags, language, translations, source } = leaders[Math.floor(Math.random() * leaders.length)]
+  const total = Object.keys(vote.votes).length
+  const tie = leaders.length > 1 ? `, drawn from a ${leaders.length}-way tie` : ''
+  return {
+    title,
+    description,
+    category,
+    questions,
+    tags,
+    language,
+    translations,
+    source,
+    selection: { method: 'vote', reason: `Won the lobby vote with ${top} of ${total} votes${tie}` }
+  }
+}
+
+/**
+ * Vote state sent to clients on 'topic-vote-update'
+ * @param {Object} vote - Topic vote
+ * @returns {Object} { candidates (with vote counts), votes, totalVotes }
+ */
+export function getVotePayload(vote) {
+  return {
+    candidates: getTallies(vote),
+    votes: { ...vote.votes },
+    totalVotes: Object.keys(vote.votes).length
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Turn Clock
+ * Keeps the current speaking turn as an absolute deadline instead of a
+ * per-second countdown. While running, discussion.turnEndsAt holds the epoch
+ * milliseconds at which the turn ends; while paused it is null and
+ * discussion.remainingMs holds the time left. Clients receive turnEndsAt with
+ * the server's clock (serverNow) and count down locally.
+ */
+
+/**
+ * Start a new turn
+ * @param {Object} discussion - Room discussion state
+ * @param {number} seconds - Turn length
+ * @param {number} now - Current time in ms
+ */
+export function startTurnClock(discussion, seconds, now = Date.now()) {
+  discussion.turnDuration = seconds
+  discussion.turnStartedAt = now
+  if (discussion.paused) {
+    discussion.turnEndsAt = null
+    discussion.remainingMs = seconds * 1000
+  } else {
+    discussion.turnEndsAt = now + seconds * 1000
+    discussion.remainingMs = null
+  }
+}
+
+/**
+ * Freeze the clock, remembering how much time was left
+ * @param {Object} discussion - Room discussion state
+ * @param {number} now - Current time in ms
+ */
+export function pauseTurnClock(discussion, now = Date.now()) {
+  discussion.remainingMs = getRemainingMs(discussion, now)
+  discussion.turnEndsAt = null
+}
+
+/**
+ * Restart a frozen clock from the time that was left
+ * @param {Object} discussion - Room discussion state
+ * @param {number} now - Current time in ms
+ */
+export function resumeTurnClock(discussion, now = Date.now()) {
+  discussion.turnEndsAt = now + (discussion.remainingMs || 0)
+  discussion.remainingMs = null
+}
+
+/**
+ * Add time to the current turn
+ * @param {Object} discussion - Room discussion state
+ * @param {number} seconds - Seconds to add
+ */
+export function extendTurnClock(discussion, seconds) {
+  discussion.turnDuration += seconds
+  if (discussion.turnEndsAt) {
+    discussion.turnEndsAt += seconds * 1000
+  } else {
+    discussion.remainingMs = (discussion.remainingMs || 0) + seconds * 1000
+  }
+}
+
+/**
+ * Milliseconds left in the current turn
+ * @param {Object} discussion - Room discussion state
+ * @param {number} now - Current time in ms
+ * @returns {number} Remaining ms (never negative)
+ */
+export function getRemainingMs(discussion, now = Date.now()) {
+  if (discussion.turnEndsAt) {
+    return Math.max(0, discussion.turnEndsAt - now)
+  }
+  return Math.max(0, discussion.remainingMs || 0)
+}
+
+/**
+ * Whole seconds left in the current turn (rounded up, as shown to users)
+ * @param {Object} discussion - Room discussion state
+ * @param {number} now - Current time in ms
+ * @returns {number} Remaining seconds
+ */
+export function getTimeRemaining(discussion, now = Date.now()) {
+  return Math.ceil(getRemainingMs(discussion, now) / 1000)
+}
+
+/**
+ * Seconds used so far in the current turn, for participation accounting
+ * @param {Object} discussion - Room discussion state
+ * @param {number} now - Current time in ms
+ * @returns {number} Seconds spoken (rounded to the nearest second)
+ */
+export function getElapsedSeconds(discussion, now = Date.now()) {
+  if (!discussion.turnDuration) return 0
+  return Math.round((discussion.turnDuration * 1000 - getRemainingMs(discussion, now)) / 1000)
+}
+
+/**
+ * Clock fields sent to clients with speaker and timer events
+ * @param {Object} discussion - Room discussion state
+ * @param {number} now - Current time in ms
+ * @returns {Object} { turnEndsAt, serverNow, timeRemaining, duration, paused }
+ */
+export function getClockPayload(discussion, now = Date.now()) {
+  return {
+    turnEndsAt: discussion.turnEndsAt,
+    serverNow: now,
+    timeRemaining: getTimeRemaining(discussion, now),
+    duration: discussion.turnDuration,
+    paused: !!discussion.paused
+  }
+}
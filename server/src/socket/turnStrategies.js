@@ -0,0 +1,155 @@
+import { getSpeakingSeconds } from './participationLedger.js'
+
+/**
+ * Turn-Taking Strategies
+ * Decide who speaks next in a discussion. Every strategy works on the same
+ * round model: at the start of a round the strategy orders the participants,
+ * then picks speakers one at a time from whoever has not spoken yet. When
+ * everyone has had a turn the round is complete and a new order is built.
+ */
+
+/**
+ * Base strategy - strict round-robin in join order
+ */
+class TurnStrategy {
+  /**
+   * @param {string} name - Identifier stored in room settings
+   * @param {string} label - Human readable name for the UI
+   */
+  constructor(name, label) {
+    this.name = name
+    this.label = label
+  }
+
+  /**
+   * Build the speaking order for a new round
+   * @param {Array} participants - Current room participants
+   * @param {Object} discussion - Room discussion state
+   * @returns {Array<string>} Participant ids in speaking order
+   */
+  orderRound(participants, discussion) {
+    return participants.map(p => p.id)
+  }
+
+  /**
+   * Pick the next speaker from those still waiting this round
+   * @param {Array<string>} pending - Ids that have not spoken this round
+   * @param {Array} participants - Current room participants
+   * @param {Object} discussion - Room discussion state
+   * @returns {string} Id of the next speaker
+   */
+  pickNext(pending, participants, discussion) {
+    return pending[0]
+  }
+}
+
+/**
+ * Randomized order, reshuffled at the start of every round
+ */
+class RandomOrderStrategy extends TurnStrategy {
+  orderRound(participants) {
+    const ids = participants.map(p => p.id)
+    // Fisher-Yates shuffle
+    for (let i = ids.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1))
+      ;[ids[i], ids[j]] = [ids[j], ids[i]]
+    }
+    return ids
+  }
+}
+
+/**
+ * Whoever has spoken the least in total goes next.
+ * Ties fall back to join order.
+ */
+class LeastSpeakingTimeStrategy extends TurnStrategy {
+  pickNext(pending, participants, discussion) {
+    const ledger = discussion.participation
+    return pending.reduce((best, id) =>
+      getSpeakingSeconds(ledger, id) < getSpeakingSeconds(ledger, best) ? id : best
+    )
+  }
+}
+
+/**
+ * Raised hands are served first (in the order they were raised),
+ * otherwise falls back to round-robin.
+ */
+class RaiseHandStrategy extends TurnStrategy {
+  pickNext(pending, participants, discussion) {
+    const queue = discussion.handQueue || []
+    const raised = queue.find(id => pending.includes(id))
+    return raised || pending[0]
+  }
+}
+
+const strategies = new Map([
+  ['round-robin', new TurnStrategy('round-robin', 'Round robin')],
+  ['random', new RandomOrderStrategy('random', 'Random order each round')],
+  ['least-time', new LeastSpeakingTimeStrategy('least-time', 'Least speaking time first')],
+  ['raise-hand', new RaiseHandStrategy('raise-hand', 'Raise-hand queue')]
+])
+
+export const DEFAULT_TURN_STRATEGY = 'round-robin'
+
+/**
+ * Look up a strategy by name
+ * @param {string} name - Strategy name
+ * @returns {TurnStrategy} Matching strategy, or round-robin if unknown
+ */
+export function getTurnStrategy(name) {
+  return strategies.get(name) || strategies.get(DEFAULT_TURN_STRATEGY)
+}
+
+/**
+ * Check whether a strategy name is registered
+ * @param {string} name - Strategy name
+ * @returns {boolean} True if known
+ */
+export function isTurnStrategy(name) {
+  return strategies.has(name)
+}
+
+/**
+ * List available strategies (for settings UIs)
+ * @returns {Array} Array of { name, label }
+ */
+export function listTurnStrategies() {
+  return Array.from(strategies.values()).map(({ name, label }) => ({ name, label }))
+}
+
+/**
+ * Select the next speaker for a discussion and update its round state.
+ * Mutates discussion.pendingSpeakers, currentSpeakerIndex, currentSpeakerId and handQueue.
+ * @param {Object} discussion - Room discussion state
+ * @param {Array} participants - Current room participants
+ * @returns {Object|null} { speaker, roundCompleted, strategy } or null if nobody can speak
+ */
+export function selectNextSpeaker(discussion, participants) {
+  if (participants.length === 0) return null
+
+  const strategy = getTurnStrategy(discussion.strategy)
+  const presentIds = new Set(participants.map(p => p.id))
+
+  // Drop anyone who left since the round order was built
+  let pending = (discussion.pendingSpeakers || []).filter(id => presentIds.has(id))
+  let roundCompleted = false
+
+  if (pending.length === 0) {
+    // The opening pick builds the first round without completing one
+    roundCompleted = Array.isArray(discussion.pendingSpeakers)
+    pending = strategy.orderRound(participants, discussion)
+  }
+
+  const nextId = strategy.pickNext(pending, participants, discussion)
+  discussion.pendingSpeakers = pending.filter(id => id !== nextId)
+  discussion.handQueue = (discussion.handQueue || []).filter(id => id !== nextId)
+  discussion.currentSpeakerIndex = participants.findIndex(p => p.id === nextId)
+  discussion.currentSpeakerId = nextId
+
+  return {
+    speaker: participants[discussion.currentSpeakerIndex],
+    roundCompleted,
+    strategy: strategy.name
+  }
+}
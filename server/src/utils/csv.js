@@ -0,0 +1,88 @@
+/**
+ * CSV
+ * Minimal RFC 4180 reading and writing: comma separated, fields optionally
+ * quoted with ", quotes inside quoted fields doubled, CRLF or LF line endings.
+ */
+
+/**
+ * Parse CSV text into rows
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields (blank lines are skipped)
+ */
+export function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  // Spreadsheet exports often start with a byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+
+  const endRow = () => {
+    row.push(field)
+    if (row.length > 1 || row[0] !== '') rows.push(row)
+    row = []
+    field = ''
+  }
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      endRow()
+    } else {
+      field += char
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted field')
+  }
+  if (field !== '' || row.length > 0) endRow()
+  return rows
+}
+
+/**
+ * Parse CSV text with a header row into objects
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data row, keyed by trimmed header names
+ */
+export function parseCsvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text)
+  const keys = header.map(name => name.trim())
+  return rows.map(row => Object.fromEntries(keys.map((key, index) => [key, row[index] ?? ''])))
+}
+
+/**
+ * Quote a value for CSV if needed
+ * @param {*} value - Field value (null/undefined become empty)
+ * @returns {string} CSV field
+ */
+function formatField(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Format one CSV line
+ * @param {Array} values - Field values
+ * @returns {string} Line ending in CRLF
+ */
+export function formatCsvRow(values) {
+  return values.map(formatField).join(',') + '\r\n'
+}
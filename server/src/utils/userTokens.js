@@ -0,0 +1,62 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto'
+
+/**
+ * User Tokens
+ * Signed tokens a client receives when its socket connects ('user-token') and
+ * sends back over HTTP (x-user-token header) to show which user it is.
+ * Set USER_TOKEN_SECRET to keep tokens valid across restarts; without it a
+ * random secret is used and clients get a new token when they reconnect.
+ */
+
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000
+
+let generatedSecret = null
+
+/**
+ * Secret used to sign tokens (read on first use, after .env is loaded)
+ * @returns {string} Secret
+ */
+function getSecret() {
+  if (process.env.USER_TOKEN_SECRET) return process.env.USER_TOKEN_SECRET
+  if (!generatedSecret) {
+    generatedSecret = randomBytes(32).toString('hex')
+  }
+  return generatedSecret
+}
+
+/**
+ * Signature over a user id and expiry time
+ * @param {string} userId - User ID
+ * @param {number} expiresAt - Expiry (ms timestamp)
+ * @returns {string} base64url HMAC
+ */
+function sign(userId, expiresAt) {
+  return createHmac('sha256', getSecret()).update(`${userId}:${expiresAt}`).digest('base64url')
+}
+
+/**
+ * Issue a token for a user
+ * @param {string} userId - User ID
+ * @returns {string} Token ("expiresAt.signature")
+ */
+export function issueUserToken(userId) {
+  const expiresAt = Date.now() + TOKEN_TTL_MS
+  return `${expiresAt}.${sign(userId, expiresAt)}`
+}
+
+/**
+ * Check that a token was issued for a user and has not expired
+ * @param {string} userId - User ID the caller claims
+ * @param {string} token - Token from the request
+ * @returns {boolean} True if valid
+ */
+export function verifyUserToken(userId, token) {
+  if (typeof token !== 'string') return false
+  const [expires, signature = ''] = token.split('.')
+  const expiresAt = Number(expires)
+  if (!Number.isInteger(expiresAt) || expiresAt < Date.now()) return false
+
+  const provided = Buffer.from(signature)
+  const expected = Buffer.from(sign(userId, expiresAt))
+  return provided.length === expected.length && timingSafeEqual(provided, expected)
+}
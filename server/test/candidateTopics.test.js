@@ -0,0 +1,61 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { setTimeout as sleep } from 'timers/promises'
+import { mkdtemp, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+
+const dataDir = await mkdtemp(join(tmpdir(), 'roundtable-test-'))
+process.env.DATABASE_URL = join(dataDir, 'test.db')
+process.env.AI_TOPIC_POOL_SIZE = '1'
+
+const { initializeDatabase, closeDatabase } = await import('../src/database/database.js')
+const { seedTopicLibrary, getCandidateTopics, getTopicPoolStatus } = await import('../src/ai/topicGenerator.js')
+const { setLLMProvider, MockProvider } = await import('../src/ai/providers/index.js')
+
+/**
+ * Mock provider whose replies wait until release() is called
+ */
+class GatedProvider extends MockProvider {
+  constructor() {
+    super()
+    this.requested = 0
+    this.gate = new Promise(resolve => {
+      this.release = resolve
+    })
+  }
+
+  async complete(request) {
+    this.requested++
+    await this.gate
+    return super.complete(request)
+  }
+}
+
+await initializeDatabase()
+await seedTopicLibrary()
+const provider = new GatedProvider()
+setLLMProvider(provider)
+
+after(async () => {
+  await rm(dataDir, { recursive: true, force: true })
+})
+
+test('the ballot is filled from the library while the provider is slow', { timeout: 10000 }, async () => {
+  const topics = await getCandidateTopics(3)
+  assert.equal(topics.length, 3)
+  assert.ok(topics.every(topic => topic.source !== 'AI Generated'))
+  // The pool is being topped up in the background
+  assert.equal(provider.requested, 1)
+
+  provider.release()
+  while (getTopicPoolStatus().available === 0) {
+    await sleep(10)
+  }
+
+  const next = await getCandidateTopics(3)
+  assert.equal(next.length, 3)
+  assert.equal(next[0].source, 'AI Generated')
+  // Closed here rather than in after(): the test runner cannot parse output logged from hooks
+  await closeDatabase()
+})
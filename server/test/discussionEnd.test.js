@@ -0,0 +1,117 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'http'
+import { once } from 'events'
+import { mkdtemp, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { Server } from 'socket.io'
+import { io as connect } from 'socket.io-client'
+
+const dataDir = await mkdtemp(join(tmpdir(), 'roundtable-test-'))
+process.env.DATABASE_URL = join(dataDir, 'test.db')
+process.env.MIN_PARTICIPANTS = '1'
+process.env.RECONNECT_GRACE_SECONDS = '0'
+
+const { initializeDatabase, closeDatabase } = await import('../src/database/database.js')
+const { seedTopicLibrary } = await import('../src/ai/topicGenerator.js')
+const { setLLMProvider, MockProvider } = await import('../src/ai/providers/index.js')
+const { roomManager } = await import('../src/socket/roomManager.js')
+const { setupSocketHandlers } = await import('../src/socket/socketHandlers.js')
+
+/**
+ * Mock provider whose replies wait until release() is called, to keep a
+ * session summary pending
+ */
+class GatedProvider extends MockProvider {
+  constructor() {
+    super(['A short synopsis of the discussion.'])
+    this.gate = new Promise(resolve => {
+      this.release = resolve
+    })
+  }
+
+  async complete(request) {
+    await this.gate
+    return super.complete(request)
+  }
+}
+
+await initializeDatabase()
+await seedTopicLibrary()
+const provider = new GatedProvider()
+setLLMProvider(provider)
+
+const httpServer = createServer()
+const io = new Server(httpServer)
+setupSocketHandlers(io)
+httpServer.listen(0)
+await once(httpServer, 'listening')
+const url = `http://localhost:${httpServer.address().port}`
+const clients = []
+
+after(async () => {
+  clients.forEach(client => client.close())
+  io.close()
+  await rm(dataDir, { recursive: true, force: true })
+})
+
+/**
+ * Connect a client and join a room, recording the discussion events it receives
+ * @param {string} userId - User id sent in the handshake
+ * @param {string} roomId - Room to join
+ * @returns {Promise<Object>} { socket, events }
+ */
+async function joinAs(userId, roomId) {
+  const socket = connect(url, { transports: ['websocket'], auth: { userId, anonymousName: userId } })
+  clients.push(socket)
+  const events = []
+  for (const event of ['discussion-started', 'discussion-ended', 'session-summary']) {
+    socket.on(event, payload => events.push({ event, payload }))
+  }
+  await once(socket, 'connect')
+  socket.emit('join-room', roomId)
+  await once(socket, 'participants-update')
+  return { socket, events }
+}
+
+test('a new discussion can start while the last one is still being summarized', { timeout: 10000 }, async () => {
+  const room = roomManager.createRoom({ name: 'Summary race' })
+  const host = await joinAs('host', room.id)
+
+  host.socket.emit('user-ready')
+  await once(host.socket, 'discussion-started')
+
+  // The summary waits on the provider, but the end is announced at once
+  host.socket.emit('end-discussion')
+  const [ended] = await once(host.socket, 'discussion-ended')
+  assert.ok(ended.sessionId)
+  assert.equal(ended.summary, undefined)
+
+  // Someone else gets ready in the meantime and the next discussion starts
+  const guest = await joinAs('guest', room.id)
+  guest.socket.emit('user-ready')
+  await once(host.socket, 'discussion-started')
+  assert.ok(roomManager.getRoom(room.id).discussion.active)
+  assert.ok(!host.events.some(e => e.event === 'session-summary'))
+
+  // The summary arrives afterwards, for the discussion that ended
+  provider.release()
+  const [{ sessionId, summary }] = await once(host.socket, 'session-summary')
+  assert.equal(sessionId, ended.sessionId)
+  assert.ok(summary.synopsis)
+
+  assert.deepEqual(host.events.map(e => e.event), [
+    'discussion-started',
+    'discussion-ended',
+    'discussion-started',
+    'session-summary'
+  ])
+  assert.ok(roomManager.getRoom(room.id).discussion.active)
+
+  // Let the last summary and the fresh ballot finish before shutting down
+  host.socket.emit('end-discussion')
+  await Promise.all([once(host.socket, 'session-summary'), once(host.socket, 'topic-vote-update')])
+  // Closed here rather than in after(): the test runner cannot parse output logged from hooks
+  await closeDatabase()
+})
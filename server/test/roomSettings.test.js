@@ -0,0 +1,34 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { getDefaultRoomSettings, mergeRoomSettings } from '../src/socket/roomSettings.js'
+import { RoomManager } from '../src/socket/roomManager.js'
+
+test('mergeRoomSettings rejects more speakers than participants', () => {
+  const settings = getDefaultRoomSettings()
+  assert.throws(
+    () => mergeRoomSettings(settings, { maxParticipants: 4, maxSpeakers: 5 }),
+    /maxSpeakers cannot exceed maxParticipants/
+  )
+  assert.equal(mergeRoomSettings(settings, { maxParticipants: 4, maxSpeakers: 4 }).maxSpeakers, 4)
+})
+
+test('small rooms get a speaker limit that fits them', () => {
+  const manager = new RoomManager()
+  const room = manager.createRoom({ name: 'Pair', capacity: 2 })
+  assert.equal(room.settings.maxSpeakers, 2)
+})
+
+test('maxParticipants cannot drop below the people already in the room', () => {
+  const manager = new RoomManager()
+  const room = manager.createRoom({ name: 'Busy', capacity: 4 })
+  for (const id of ['a', 'b', 'c']) {
+    manager.addUserToRoom(room.id, { id, socketId: `socket-${id}`, anonymousName: id })
+  }
+
+  assert.throws(
+    () => manager.updateSettings(room.id, { maxParticipants: 2, maxSpeakers: 2 }),
+    /cannot be lower than the 3 people already in the room/
+  )
+  assert.equal(manager.getRoom(room.id).settings.maxParticipants, 4)
+  assert.equal(manager.updateSettings(room.id, { maxParticipants: 3, maxSpeakers: 3 }).maxParticipants, 3)
+})
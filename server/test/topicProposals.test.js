@@ -0,0 +1,37 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { validateEvent, EventValidationError } from '../src/socket/eventSchemas.js'
+import { validateTopic } from '../src/ai/topicSchema.js'
+import { createTopicVote, addCandidate, castVote, pickWinner } from '../src/socket/topicVoting.js'
+
+test('propose-topic keeps questions and drops blank ones', () => {
+  const [proposal] = validateEvent('propose-topic', [{
+    title: 'Four-day school week',
+    questions: ['  Who benefits most?  ', '', 'What would we lose?']
+  }])
+  assert.deepEqual(proposal.questions, ['Who benefits most?', 'What would we lose?'])
+})
+
+test('propose-topic bounds the questions', () => {
+  assert.throws(
+    () => validateEvent('propose-topic', [{ title: 'Too many', questions: Array.from({ length: 11 }, (_, i) => `Q${i}`) }]),
+    EventValidationError
+  )
+  assert.throws(
+    () => validateEvent('propose-topic', [{ title: 'Too long', questions: ['x'.repeat(301)] }]),
+    EventValidationError
+  )
+  assert.throws(
+    () => validateEvent('propose-topic', [{ title: 'Not a list', questions: 'Why?' }]),
+    EventValidationError
+  )
+})
+
+test('a winning proposal brings its questions to the discussion', () => {
+  const [proposal] = validateEvent('propose-topic', [{ title: 'Campus gardens', questions: ['Should they be mandatory?'] }])
+  const vote = createTopicVote()
+  const candidate = addCandidate(vote, { ...validateTopic(proposal), source: 'Participant' }, 'user-1')
+  castVote(vote, 'user-2', candidate.id)
+
+  assert.deepEqual(pickWinner(vote).questions, ['Should they be mandatory?'])
+})
@@ -0,0 +1,52 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { once } from 'events'
+import { mkdtemp, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import express from 'express'
+
+const dataDir = await mkdtemp(join(tmpdir(), 'roundtable-test-'))
+process.env.DATABASE_URL = join(dataDir, 'test.db')
+process.env.ADMIN_API_KEY = 'test-admin-key'
+
+const { initializeDatabase, closeDatabase } = await import('../src/database/database.js')
+const { issueUserToken } = await import('../src/utils/userTokens.js')
+const { default: apiRoutes } = await import('../src/routes/api.js')
+
+await initializeDatabase()
+const app = express()
+app.use('/api', apiRoutes)
+const server = app.listen(0)
+await once(server, 'listening')
+const url = `http://localhost:${server.address().port}/api/users/alice/history`
+
+after(async () => {
+  server.close()
+  await rm(dataDir, { recursive: true, force: true })
+})
+
+test('history needs a user token', async () => {
+  const res = await fetch(url)
+  assert.equal(res.status, 401)
+})
+
+test("history rejects another user's token", async () => {
+  const res = await fetch(url, { headers: { 'x-user-token': issueUserToken('mallory') } })
+  assert.equal(res.status, 403)
+
+  const forged = await fetch(url, { headers: { 'x-user-token': `${Date.now() + 60000}.not-a-signature` } })
+  assert.equal(forged.status, 403)
+})
+
+test('history is returned to its user and to admins', async () => {
+  const own = await fetch(url, { headers: { 'x-user-token': issueUserToken('alice') } })
+  assert.equal(own.status, 200)
+  assert.equal((await own.json()).data.userId, 'alice')
+
+  const admin = await fetch(url, { headers: { 'x-admin-key': 'test-admin-key' } })
+  assert.equal(admin.status, 200)
+
+  // Closed here rather than in after(): the test runner cannot parse output logged from hooks
+  await closeDatabase()
+})